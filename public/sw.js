@@ -0,0 +1,152 @@
+// public/sw.js
+// Offline support. Registered from src/main.js as sw.js?api=<API base>.
+// - precaches the app shell and its hashed JS/CSS, terrain-style.json, the Amiri and Noto Sans glyph PBFs
+//   and the node gazetteer (/v2/nodes)
+// - API responses (/v2/...) are network-first; when the network fails the last saved copy is served
+//   and the page is told so it can show the offline badge. They are cached per year (?year=).
+// - other cross-origin requests (map tiles, sprites, fonts, styles) are stale-while-revalidate
+
+const VERSION = 'v1';
+// BUILD and buildAssets are filled in by `vite build` (see vite.config.js): a hash of the build and
+// the files it emitted. Each build gets its own static cache; older ones are dropped on activate.
+const BUILD = 'dev';
+const buildAssets = [];
+const PREFIX = 'ottoman-routing-';
+const STATIC_PREFIX = `${PREFIX}${VERSION}-static`;
+const STATIC_CACHE = `${STATIC_PREFIX}-${BUILD}`;
+const TILE_CACHE = `${PREFIX}${VERSION}-tiles`;
+const MAX_TILE_ENTRIES = 3000;
+const MAX_API_ENTRIES = 500;
+
+const apiBase = (new URL(self.location.href).searchParams.get('api') || '').replace(/\/$/, '');
+
+// Glyph ranges are fixed 256-codepoint blocks, see public/Amiri Regular/. The Ottoman and default
+// label fonts are precached; the Armenian and Hebrew ones are cached when first used.
+const glyphStacks = ['Amiri%20Regular', 'Noto%20Sans%20Regular'];
+const glyphUrls = glyphStacks.flatMap(stack =>
+    Array.from({ length: 256 }, (_, i) => `${stack}/${i * 256}-${i * 256 + 255}.pbf`));
+const precacheUrls = ['./', 'terrain-style.json', ...buildAssets, ...glyphUrls];
+
+function apiCacheName(url) {
+    const year = url.searchParams.get('year');
+    return `${PREFIX}${VERSION}-api-${/^\d+$/.test(year || '') ? year : 'all'}`;
+}
+
+function isApiRequest(url) {
+    return !!apiBase && url.href.startsWith(`${apiBase}/v2/`);
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ source: 'ottoman-routing-sw', ...message }));
+}
+
+// Drop the oldest entries (Cache keys come back in insertion order)
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    for (let i = 0; i < keys.length - maxEntries; i++) await cache.delete(keys[i]);
+}
+
+// Saved copies carry the time they were fetched, shown in the offline badge
+async function withTimestamp(res) {
+    const headers = new Headers(res.headers);
+    headers.set('x-sw-cached-at', new Date().toISOString());
+    return new Response(await res.clone().blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+// Server errors (e.g. a proxy answering 502 for an unreachable API) also fall back to the saved copy
+async function networkFirst(request, cacheName, { notify = false, maxEntries = 0 } = {}) {
+    const cache = await caches.open(cacheName);
+    const fallback = async () => {
+        const cached = await cache.match(request);
+        if (notify) {
+            notifyClients(cached
+                ? { type: 'stale', url: request.url, cachedAt: cached.headers.get('x-sw-cached-at') }
+                : { type: 'offline', url: request.url });
+        }
+        return cached;
+    };
+
+    let res;
+    try {
+        res = await fetch(request);
+    } catch (err) {
+        const cached = await fallback();
+        if (cached) return cached;
+        throw err;
+    }
+
+    if (res.status >= 500) return (await fallback()) || res;
+    if (res.ok) {
+        await cache.put(request, await withTimestamp(res));
+        if (maxEntries) trimCache(cacheName, maxEntries).catch(() => {});
+    }
+    if (notify) notifyClients({ type: 'live' });
+    return res;
+}
+
+async function staleWhileRevalidate(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then(res => {
+        if (res.ok || res.type === 'opaque') {
+            cache.put(request, res.clone())
+                .then(() => (maxEntries ? trimCache(cacheName, maxEntries) : null))
+                .catch(() => {});
+        }
+        return res;
+    });
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(STATIC_CACHE);
+        await cache.addAll(precacheUrls);
+        // The gazetteer is precached when the API is reachable; installing must not depend on it
+        if (apiBase) {
+            try {
+                const nodesUrl = `${apiBase}/v2/nodes`;
+                const res = await fetch(nodesUrl, { cache: 'no-store' });
+                if (res.ok) await (await caches.open(apiCacheName(new URL(nodesUrl)))).put(nodesUrl, await withTimestamp(res));
+            } catch (e) {
+                console.warn('Could not precache /v2/nodes:', e);
+            }
+        }
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(PREFIX) && !name.startsWith(`${PREFIX}${VERSION}-`)
+                || (name.startsWith(STATIC_PREFIX) && name !== STATIC_CACHE))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (!/^https?:$/.test(url.protocol)) return;
+
+    if (isApiRequest(url)) {
+        event.respondWith(networkFirst(request, apiCacheName(url), { notify: true, maxEntries: MAX_API_ENTRIES }));
+    } else if (url.origin === self.location.origin) {
+        // Pages first try the network so a new deploy shows up; hashed assets never change
+        event.respondWith(request.mode === 'navigate'
+            ? networkFirst(request, STATIC_CACHE)
+            : staleWhileRevalidate(request, STATIC_CACHE));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, TILE_CACHE, MAX_TILE_ENTRIES));
+    }
+});
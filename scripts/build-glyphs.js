@@ -0,0 +1,49 @@
+// Generates the glyph PBFs for the label font stacks into public/ (npm run glyphs):
+//   public/<font stack>/<start>-<end>.pbf for each 256-codepoint block, the layout of public/Amiri Regular
+// Fonts come from the @expo-google-fonts packages and are rendered to SDFs with fontnik. A stack for
+// one script falls back to Noto Sans for the blocks that font lacks (digits, Latin punctuation), as a
+// style can only name one static stack per label. The output is committed; rerun after changing
+// the stacks here or scriptFontStacks in src/label-language.js.
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const fontnik = require('fontnik');
+
+const renderRange = promisify(fontnik.range);
+const composite = promisify(fontnik.composite);
+
+const fontFile = (pkg, file) => require.resolve(`@expo-google-fonts/${pkg}/400Regular/${file}`);
+const notoSans = fontFile('noto-sans', 'NotoSans_400Regular.ttf');
+
+// Font stack -> fonts, first one wins per glyph
+const fontStacks = {
+  'Noto Sans Regular': [notoSans],
+  'Noto Sans Armenian Regular': [fontFile('noto-sans-armenian', 'NotoSansArmenian_400Regular.ttf'), notoSans],
+  'Noto Sans Hebrew Regular': [fontFile('noto-sans-hebrew', 'NotoSansHebrew_400Regular.ttf'), notoSans]
+};
+
+async function buildStack(name, files, outDir) {
+  const fonts = files.map(file => fs.readFileSync(file));
+  const dir = path.join(outDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  for (let start = 0; start < 65536; start += 256) {
+    const end = start + 255;
+    const ranges = [];
+    for (const font of fonts) ranges.push(await renderRange({ font, start, end }));
+    const pbf = ranges.length > 1 ? await composite(ranges) : ranges[0];
+    fs.writeFileSync(path.join(dir, `${start}-${end}.pbf`), pbf);
+  }
+}
+
+async function main() {
+  const outDir = path.join(__dirname, '..', 'public');
+  for (const [name, files] of Object.entries(fontStacks)) {
+    await buildStack(name, files, outDir);
+    process.stdout.write(`Wrote public/${name}\n`);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exit(1);
+});
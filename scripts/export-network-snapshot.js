@@ -0,0 +1,107 @@
+// Exports the network snapshot for the in-browser router (src/network-graph.js) from the routing API:
+//   npm run snapshot [-- --api https://geo.jaxartes.net --out public/network-snapshot.json
+//                       --from 1860 --to 1918 --step 1]
+// /v2/network only answers per year, so it is fetched for every year in the range and an edge's
+// from / to are the first and last year it was seen (open-ended at the ends of the range). With
+// --step above 1 the opening and closing years are only as precise as the step.
+// The API defaults to API_TARGET (as in server.js), the output to public/, so `vite build` ships it.
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+function readArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) throw new Error(`Unexpected argument ${argv[i]}`);
+    args[m[1]] = m[2] !== undefined ? m[2] : argv[++i];
+  }
+  return args;
+}
+
+async function fetchJson(url) {
+  const res = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!res.ok) throw new Error(`${url} answered ${res.status}`);
+  return res.json();
+}
+
+// Same edge on the same line at the same cost; a change in cost starts a new edge
+function edgeKey(p) {
+  return [p.source, p.target, p.mode, p.line ?? '', p.cost].join('|');
+}
+
+async function main() {
+  const args = readArgs(process.argv.slice(2));
+  const api = String(args.api || process.env.API_TARGET || 'https://geo.jaxartes.net').replace(/\/$/, '');
+  const out = path.resolve(args.out || path.join(__dirname, '..', 'public', 'network-snapshot.json'));
+  const firstYear = parseInt(args.from || '1860', 10);
+  const lastYear = parseInt(args.to || '1918', 10);
+  const step = Math.max(1, parseInt(args.step || '1', 10));
+  if (!Number.isFinite(firstYear) || !Number.isFinite(lastYear) || firstYear > lastYear) {
+    throw new Error('--from must be a year before --to');
+  }
+
+  const gazetteer = await fetchJson(`${api}/v2/nodes`);
+  const nodes = new Map();
+  (gazetteer.features || []).forEach(f => {
+    const id = f.properties && f.properties.id;
+    const c = f.geometry && f.geometry.coordinates;
+    if (id === undefined || id === null || !Array.isArray(c) || (c[0] === 0 && c[1] === 0)) return;
+    if (!nodes.has(String(id))) nodes.set(String(id), { id, coordinates: c });
+  });
+
+  // key -> { props, geometry, spans: [[from, to]] }
+  const edges = new Map();
+  const years = [];
+  for (let year = firstYear; year <= lastYear; year += step) years.push(year);
+  if (years[years.length - 1] !== lastYear) years.push(lastYear);
+
+  let previous = null;
+  for (const year of years) {
+    const network = await fetchJson(`${api}/v2/network?year=${year}`);
+    // An edge listed twice in one year (e.g. split geometry) counts once; the first geometry is kept
+    const seen = new Set();
+    (network.features || []).forEach(f => {
+      const p = f.properties || {};
+      const key = edgeKey(p);
+      if (seen.has(key)) return;
+      seen.add(key);
+      if (!edges.has(key)) {
+        edges.set(key, { props: p, geometry: f.geometry ? f.geometry.coordinates : null, spans: [] });
+      }
+      const spans = edges.get(key).spans;
+      const last = spans[spans.length - 1];
+      if (last && last[1] === previous) last[1] = year;
+      else spans.push([year, year]);
+    });
+    process.stdout.write(`${year}: ${(network.features || []).length} edges\n`);
+    previous = year;
+  }
+
+  const snapshot = { nodes: Array.from(nodes.values()), edges: [] };
+  edges.forEach(({ props, geometry, spans }) => {
+    spans.forEach(([from, to]) => {
+      snapshot.edges.push({
+        source: props.source,
+        target: props.target,
+        mode: props.mode,
+        cost: props.cost,
+        line: props.line ?? '',
+        colour: props.colour ?? null,
+        from: from === firstYear ? null : from,
+        to: to === lastYear ? null : to,
+        oneway: props.oneway || undefined,
+        geometry
+      });
+    });
+  });
+
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(snapshot));
+  process.stdout.write(`Wrote ${snapshot.nodes.length} nodes and ${snapshot.edges.length} edges to ${out}\n`);
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exit(1);
+});
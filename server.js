@@ -10,10 +10,26 @@ const DIST_DIR = path.join(__dirname, 'dist');
 
 // Optional proxy middleware (only used if PROXY_API env var is set)
 const useProxy = (process.env.PROXY_API === 'true' || process.env.PROXY_API === '1');
+const target = process.env.API_TARGET || 'https://geo.jaxartes.net';
+let proxyCache = null;
 if (useProxy) {
   const { createProxyMiddleware } = require('http-proxy-middleware');
-  const target = process.env.API_TARGET || 'https://geo.jaxartes.net';
   console.log(`Proxy enabled: forwarding /api -> ${target}`);
+  // Cache /v2/nodes and /v2/route, rate limit clients and report hit rates at /api/_stats.
+  // PROXY_CACHE=0 turns this off; TTLs are in seconds, PROXY_RATE_LIMIT is requests per minute per client.
+  if (process.env.PROXY_CACHE !== 'false' && process.env.PROXY_CACHE !== '0') {
+    const { createProxyCache } = require('./server/proxy-cache');
+    const envInt = (name) => parseInt(process.env[name], 10);
+    // Behind a reverse proxy, set TRUST_PROXY (hop count, e.g. 1) so clients are told apart by X-Forwarded-For
+    if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+    proxyCache = createProxyCache(target, {
+      ttlNodes: envInt('PROXY_CACHE_TTL_NODES'),
+      ttlRoute: envInt('PROXY_CACHE_TTL_ROUTE'),
+      maxEntries: envInt('PROXY_CACHE_MAX_ENTRIES'),
+      rateLimit: envInt('PROXY_RATE_LIMIT')
+    });
+    app.use('/api', proxyCache);
+  }
   app.use('/api', createProxyMiddleware({
     target,
     changeOrigin: true,
@@ -22,6 +38,25 @@ if (useProxy) {
   }));
 }
 
+// Optional mock API (MOCK_API=1): fixture data from server/fixtures, no network needed.
+// Served at the root (the frontend's default API base on localhost is http://localhost:8080, see
+// `npm run mock`) and under /api, like the proxy.
+const useMock = (process.env.MOCK_API === 'true' || process.env.MOCK_API === '1');
+if (useMock) {
+  const { createMockApi } = require('./server/mock-api');
+  const mockApi = createMockApi(process.env.MOCK_FIXTURES ? path.resolve(process.env.MOCK_FIXTURES) : undefined);
+  console.log('Mock API enabled: serving /v2/* from fixtures');
+  app.use('/api', mockApi);
+  app.use(mockApi);
+}
+
+// Route images for papers and slides: /snapshot/route.svg (or .png) ?source=&target=&year=
+// Routes come from SNAPSHOT_API, else the mock when it is on, else API_TARGET. Requests to API_TARGET
+// share the proxy's cache and per-client rate limit when those are on.
+const { createRouteSnapshot } = require('./server/route-snapshot');
+const snapshotApi = process.env.SNAPSHOT_API || (useMock ? `http://localhost:${PORT}` : target);
+app.use(createRouteSnapshot(snapshotApi, { proxyCache: snapshotApi === target ? proxyCache : null }));
+
 // Serve static built assets when in production (dist produced by `vite build`)
 app.use(express.static(DIST_DIR));
 
@@ -0,0 +1,239 @@
+// Fixture-backed stand-in for the routing API, enabled with MOCK_API=1 (see server.js), so the
+// frontend can be developed and tested without network access.
+// Serves /v2/nodes, /v2/nodes/:id, /v2/route, /v2/isochrone, /v2/network, /v2/lines, /v2/lines/:id
+// and a /network-snapshot.json for the in-browser router, all from fixtures/network.json:
+//   nodes: { id, rank, cluster?, coordinates, names: [{ name, iso639 }] }
+//   lines: { id, name, mode, colour, opened, closed?, start, hops: [{ to, cost, opened?, closed? }] }
+//   edges: { source, target, mode, cost, line, from?, to? }   (roads, chaussees and transfers)
+// Mode codes are those of src/modes.json (modeIntToName in src/helpers.js); edges are two-way.
+const express = require('express');
+const path = require('path');
+const { modeNames } = require('./modes');
+
+function loadNetwork(fixtures) {
+  const nodes = new Map();
+  fixtures.nodes.forEach(n => nodes.set(String(n.id), n));
+
+  const lines = new Map();
+  const edges = [];
+  fixtures.lines.forEach(line => {
+    lines.set(String(line.id), line);
+    let from = line.start;
+    line.hops.forEach(hop => {
+      edges.push({
+        source: String(from),
+        target: String(hop.to),
+        mode: line.mode,
+        cost: hop.cost,
+        line: line.name,
+        lineId: String(line.id),
+        colour: line.colour,
+        from: hop.opened ?? line.opened ?? null,
+        to: hop.closed ?? line.closed ?? null
+      });
+      from = hop.to;
+    });
+  });
+  fixtures.edges.forEach(e => {
+    edges.push({
+      source: String(e.source),
+      target: String(e.target),
+      mode: e.mode,
+      cost: e.cost,
+      line: e.line || '',
+      lineId: null,
+      colour: e.colour || null,
+      from: e.from ?? null,
+      to: e.to ?? null
+    });
+  });
+
+  return { nodes, lines, edges };
+}
+
+function inYear(item, year) {
+  return (item.from === null || item.from <= year) && (item.to === null || year <= item.to);
+}
+
+function lineInYear(line, year) {
+  return (line.opened == null || line.opened <= year) && (line.closed == null || year <= line.closed);
+}
+
+// Same filters as the frontend sends: modes=<allowed codes> and/or exclude_modes=<codes>, and
+// exclude_edges=<source>-<target>,... (either direction)
+function modeFilter(query) {
+  const list = (v) => String(v || '').split(',').filter(Boolean);
+  const allowed = query.modes ? new Set(list(query.modes).map(Number)) : null;
+  const excluded = new Set(list(query.exclude_modes).map(Number));
+  const excludedEdges = new Set(list(query.exclude_edges).flatMap(pair => {
+    const [a, b] = pair.split('-');
+    return [`${a}|${b}`, `${b}|${a}`];
+  }));
+  return (edge) => !excluded.has(edge.mode) && (!allowed || allowed.has(edge.mode))
+    && !excludedEdges.has(`${edge.source}|${edge.target}`);
+}
+
+function primaryName(node) {
+  const latin = node.names.find(n => n.iso639 === 'tur') || node.names.find(n => n.iso639 !== 'ota') || node.names[0];
+  return latin ? latin.name : String(node.id);
+}
+
+function otaName(node) {
+  const ota = node.names.find(n => n.iso639 === 'ota');
+  return ota ? ota.name : null;
+}
+
+function edgeFeature(network, edge, reverse) {
+  const source = reverse ? edge.target : edge.source;
+  const target = reverse ? edge.source : edge.target;
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: [network.nodes.get(source).coordinates, network.nodes.get(target).coordinates]
+    },
+    properties: { source: Number(source), target: Number(target), mode: edge.mode, cost: edge.cost, line: edge.line, colour: edge.colour }
+  };
+}
+
+// Dijkstra over the edges usable in `year`; returns { dist: Map(id -> cost), via: Map(id -> step) }
+function shortestPaths(network, sourceId, year, usable, maxCost = Infinity) {
+  const adjacency = new Map();
+  network.edges.forEach(edge => {
+    if (!inYear(edge, year) || !usable(edge)) return;
+    [[edge.source, edge.target, false], [edge.target, edge.source, true]].forEach(([a, b, reverse]) => {
+      if (!adjacency.has(a)) adjacency.set(a, []);
+      adjacency.get(a).push({ edge, next: b, reverse });
+    });
+  });
+
+  const dist = new Map([[sourceId, 0]]);
+  const via = new Map();
+  const done = new Set();
+  for (;;) {
+    let node = null;
+    dist.forEach((d, id) => {
+      if (!done.has(id) && (node === null || d < dist.get(node))) node = id;
+    });
+    if (node === null) break;
+    done.add(node);
+    (adjacency.get(node) || []).forEach(({ edge, next, reverse }) => {
+      const cost = dist.get(node) + edge.cost;
+      if (cost > maxCost || (dist.has(next) && dist.get(next) <= cost)) return;
+      dist.set(next, cost);
+      via.set(next, { edge, reverse, prev: node });
+    });
+  }
+  return { dist, via };
+}
+
+function queryYear(query) {
+  const year = parseInt(query.year, 10);
+  return Number.isFinite(year) ? year : 1914;
+}
+
+function createMockApi(fixturesPath = path.join(__dirname, 'fixtures', 'network.json')) {
+  const network = loadNetwork(require(fixturesPath));
+  const router = express.Router();
+
+  // The dev server runs on another port than the mock API
+  router.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    next();
+  });
+
+  router.get('/v2/nodes', (req, res) => {
+    // One feature per non-Ottoman name, as the real gazetteer lists every searchable name
+    const features = [];
+    network.nodes.forEach(node => {
+      node.names.filter(n => n.iso639 !== 'ota').forEach(n => {
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: node.coordinates },
+          properties: { id: node.id, name: n.name, iso639: n.iso639, ota: otaName(node), rank: node.rank, cluster: node.cluster ?? null }
+        });
+      });
+    });
+    res.json({ type: 'FeatureCollection', features });
+  });
+
+  router.get('/v2/nodes/:id', (req, res) => {
+    const node = network.nodes.get(String(req.params.id));
+    if (!node) return res.status(404).json({ error: 'Unknown node' });
+    const year = queryYear(req.query);
+    const lineIds = new Set(network.edges
+      .filter(e => e.lineId && inYear(e, year) && (e.source === String(node.id) || e.target === String(node.id)))
+      .map(e => e.lineId));
+    const lines = Array.from(lineIds).map(id => {
+      const line = network.lines.get(id);
+      return { id: line.id, name: line.name, mode: modeNames[line.mode], colour: line.colour };
+    });
+    res.json({ result: { id: node.id, name: primaryName(node), names: node.names, lines } });
+  });
+
+  router.get('/v2/route', (req, res) => {
+    const source = String(req.query.source || '');
+    const target = String(req.query.target || '');
+    if (!network.nodes.has(source) || !network.nodes.has(target)) {
+      return res.status(404).json({ error: 'Unknown node' });
+    }
+    const { via } = shortestPaths(network, source, queryYear(req.query), modeFilter(req.query));
+    if (source !== target && !via.has(target)) return res.status(404).json({ error: 'No route' });
+
+    const features = [];
+    for (let node = target; node !== source;) {
+      const step = via.get(node);
+      features.push(edgeFeature(network, step.edge, step.reverse));
+      node = step.prev;
+    }
+    res.json({ type: 'FeatureCollection', features: features.reverse() });
+  });
+
+  router.get('/v2/isochrone', (req, res) => {
+    const source = String(req.query.source || '');
+    if (!network.nodes.has(source)) return res.status(404).json({ error: 'Unknown node' });
+    const max = Number(req.query.max) || Infinity;
+    const { dist } = shortestPaths(network, source, queryYear(req.query), modeFilter(req.query), max);
+    res.json({ result: Array.from(dist.entries()).map(([id, cost]) => ({ id: Number(id), cost })) });
+  });
+
+  router.get('/v2/network', (req, res) => {
+    const year = queryYear(req.query);
+    res.json({
+      type: 'FeatureCollection',
+      features: network.edges.filter(e => inYear(e, year)).map(e => edgeFeature(network, e, false))
+    });
+  });
+
+  const lineSummary = (line) => ({
+    id: line.id, name: line.name, mode: line.mode, colour: line.colour, opened: line.opened ?? null, closed: line.closed ?? null
+  });
+
+  router.get('/v2/lines', (req, res) => {
+    const year = queryYear(req.query);
+    res.json({ result: Array.from(network.lines.values()).filter(l => lineInYear(l, year)).map(lineSummary) });
+  });
+
+  router.get('/v2/lines/:id', (req, res) => {
+    const line = network.lines.get(String(req.params.id));
+    if (!line) return res.status(404).json({ error: 'Unknown line' });
+    const year = queryYear(req.query);
+    const edges = network.edges.filter(e => e.lineId === String(line.id) && inYear(e, year));
+    const stops = edges.length ? [Number(edges[0].source), ...edges.map(e => Number(e.target))] : [];
+    res.json({ result: { line: lineSummary(line), features: edges.map(e => edgeFeature(network, e, false)), stops } });
+  });
+
+  router.get('/network-snapshot.json', (req, res) => {
+    res.json({
+      nodes: Array.from(network.nodes.values()).map(n => ({ id: n.id, coordinates: n.coordinates })),
+      edges: network.edges.map(e => ({
+        source: Number(e.source), target: Number(e.target), mode: e.mode, cost: e.cost,
+        line: e.line, colour: e.colour, from: e.from, to: e.to
+      }))
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createMockApi };
@@ -0,0 +1,4 @@
+// Mode codes used by the routing API, read from src/modes.json like modeIntToName in src/helpers.js
+const modeNames = require('../src/modes.json');
+
+module.exports = { modeNames };
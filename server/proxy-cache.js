@@ -0,0 +1,223 @@
+// Caching and rate limiting in front of the /api proxy (PROXY_API=1, see server.js).
+// - GET /v2/nodes, /v2/nodes/:id and /v2/route are answered from an in-memory LRU cache keyed by
+//   path + sorted query string; misses are fetched from the upstream once, even when many clients
+//   ask for the same thing at the same time. Everything else goes on to the plain proxy.
+// - cached answers carry an ETag and a matching If-None-Match gets a 304
+// - every /api request counts against a per-client limit (requests per minute)
+// - /api/_stats reports cache hit rates and rate limiting counts
+// The router also exposes the limiter (router.limit) and cached upstream lookups (router.fetchCached)
+// for other server routes that call the same API, such as the route snapshots.
+const crypto = require('crypto');
+const express = require('express');
+
+const defaults = {
+  ttlNodes: 24 * 3600, // seconds, /v2/nodes and /v2/nodes/:id
+  ttlRoute: 3600, // seconds, /v2/route
+  maxEntries: 2000,
+  maxBytes: 200 * 1024 * 1024,
+  rateLimit: 120, // requests per client per minute, 0 = off
+};
+
+// Least recently used entries are dropped first (a Map iterates in insertion order)
+class LruCache {
+  constructor(maxEntries, maxBytes) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expires <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    this.delete(key);
+    this.entries.set(key, entry);
+    this.bytes += entry.body.length;
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.bytes -= entry.body.length;
+    this.entries.delete(key);
+  }
+}
+
+// url is the path and query string as sent upstream, e.g. /v2/route?source=1&target=2
+function cacheKey(url) {
+  const [pathname, query] = url.split('?');
+  const params = new URLSearchParams(query || '');
+  params.sort();
+  return `${pathname}?${params.toString()}`;
+}
+
+function ttlFor(pathname, opts) {
+  if (pathname === '/v2/route') return opts.ttlRoute;
+  if (pathname === '/v2/nodes' || /^\/v2\/nodes\/[^/]+$/.test(pathname)) return opts.ttlNodes;
+  return 0;
+}
+
+function etagMatches(req, etag) {
+  const header = req.headers['if-none-match'];
+  return !!header && header.split(',').map(s => s.trim()).some(tag => tag === etag || tag === '*');
+}
+
+// createProxyCache(target, opts) returns an Express router to mount on /api in front of the proxy
+function createProxyCache(target, options = {}) {
+  // Unset or unparsable options (e.g. from missing env vars) keep their defaults
+  const opts = { ...defaults };
+  Object.keys(defaults).forEach(k => {
+    if (Number.isFinite(options[k]) && options[k] >= 0) opts[k] = options[k];
+  });
+  const cache = new LruCache(opts.maxEntries, opts.maxBytes);
+  const inFlight = new Map();
+  const clients = new Map();
+  const stats = { hits: 0, misses: 0, notModified: 0, upstreamErrors: 0, rateLimited: 0, started: Date.now() };
+  const router = express.Router();
+
+  // Fixed one-minute window per client
+  const limit = (req, res, next) => {
+    if (!opts.rateLimit) return next();
+    const now = Date.now();
+    const client = req.ip || 'unknown';
+    let entry = clients.get(client);
+    if (!entry || entry.reset <= now) {
+      entry = { count: 0, reset: now + 60000 };
+      clients.set(client, entry);
+    }
+    entry.count++;
+    res.set('X-RateLimit-Limit', String(opts.rateLimit));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, opts.rateLimit - entry.count)));
+    if (entry.count > opts.rateLimit) {
+      stats.rateLimited++;
+      res.set('Retry-After', String(Math.ceil((entry.reset - now) / 1000)));
+      return res.status(429).json({ error: 'Too many requests, try again shortly' });
+    }
+    next();
+  };
+  router.use((req, res, next) => (req.path === '/_stats' ? next() : limit(req, res, next)));
+
+  // Forget clients whose window has passed
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    clients.forEach((entry, client) => {
+      if (entry.reset <= now) clients.delete(client);
+    });
+  }, 60000);
+  sweep.unref();
+
+  router.get('/_stats', (req, res) => {
+    const lookups = stats.hits + stats.misses;
+    res.json({
+      cache: {
+        entries: cache.entries.size,
+        bytes: cache.bytes,
+        hits: stats.hits,
+        misses: stats.misses,
+        hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null,
+        notModified: stats.notModified
+      },
+      upstreamErrors: stats.upstreamErrors,
+      rateLimited: stats.rateLimited,
+      clients: clients.size,
+      uptimeSeconds: Math.round((Date.now() - stats.started) / 1000)
+    });
+  });
+
+  async function fetchUpstream(key, url, ttl) {
+    const upstream = await fetch(url, { headers: { accept: 'application/json' } });
+    const body = Buffer.from(await upstream.arrayBuffer());
+    const entry = {
+      status: upstream.status,
+      contentType: upstream.headers.get('content-type') || 'application/json',
+      body,
+      etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+      expires: Date.now() + ttl * 1000
+    };
+    // Only successful answers are kept; errors are passed on once
+    if (upstream.ok && key) cache.set(key, entry);
+    return entry;
+  }
+
+  // Answers a cacheable path from the cache or the upstream: { entry, hit }. Network errors are
+  // counted and rethrown.
+  async function lookup(url, ttl) {
+    const key = cacheKey(url);
+    const cached = cache.get(key);
+    if (cached) {
+      stats.hits++;
+      return { entry: cached, hit: true };
+    }
+    stats.misses++;
+    try {
+      if (!inFlight.has(key)) {
+        inFlight.set(key, fetchUpstream(key, `${target.replace(/\/$/, '')}${url}`, ttl)
+          .finally(() => inFlight.delete(key)));
+      }
+      return { entry: await inFlight.get(key), hit: false };
+    } catch (err) {
+      stats.upstreamErrors++;
+      console.warn('Upstream request failed:', url, err && err.message ? err.message : err);
+      throw err;
+    }
+  }
+
+  // fetchCached(url) resolves to a fetch-like { ok, status, json() } for a path on the upstream,
+  // going through the cache where the path is cacheable
+  async function fetchCached(url) {
+    const ttl = ttlFor(url.split('?')[0], opts);
+    const entry = ttl
+      ? (await lookup(url, ttl)).entry
+      : await fetchUpstream(null, `${target.replace(/\/$/, '')}${url}`, 0);
+    return {
+      ok: entry.status >= 200 && entry.status < 300,
+      status: entry.status,
+      json: async () => JSON.parse(entry.body.toString('utf8'))
+    };
+  }
+
+  router.get(/.*/, async (req, res, next) => {
+    const ttl = ttlFor(req.path, opts);
+    if (!ttl) return next();
+
+    let entry;
+    try {
+      const result = await lookup(req.url, ttl);
+      entry = result.entry;
+      res.set('X-Cache', result.hit ? 'HIT' : 'MISS');
+    } catch (err) {
+      return res.status(502).json({ error: 'Upstream unavailable' });
+    }
+
+    res.set('Content-Type', entry.contentType);
+    if (entry.status !== 200) return res.status(entry.status).send(entry.body);
+
+    // Browsers revalidate every time; unchanged answers cost a 304 and no upstream request
+    res.set('ETag', entry.etag);
+    res.set('Cache-Control', 'no-cache');
+    if (etagMatches(req, entry.etag)) {
+      stats.notModified++;
+      return res.status(304).end();
+    }
+    res.send(entry.body);
+  });
+
+  router.limit = limit;
+  router.fetchCached = fetchCached;
+  return router;
+}
+
+module.exports = { createProxyCache, LruCache };
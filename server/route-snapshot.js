@@ -0,0 +1,355 @@
+// Static route images for papers and slides: GET /snapshot/route.svg and /snapshot/route.png
+//   ?source=<node id>&target=<node id>&year=1914[&exclude_modes=1,2][&width=800&height=600]
+// The route is fetched from the routing API and drawn over a simple basemap (graticule, the year's
+// network and the larger places) with a legend of the modes used and the total duration.
+// SVG needs nothing extra; PNG is rasterised with @resvg/resvg-js (an optional dependency, so
+// the endpoint answers 501 where it failed to install).
+const express = require('express');
+const humanizeDuration = require('humanize-duration');
+const { modeNames } = require('./modes');
+
+const LEGEND_ROW = 18;
+const PADDING = 40;
+// The years the routing API covers (minYear / maxYear in src/search-control.js)
+const MIN_YEAR = 1860;
+const MAX_YEAR = 1918;
+// Yearly networks kept in memory, least recently used first out
+const MAX_NETWORK_YEARS = 8;
+
+// How each mode is drawn, close to the network layers in src/search-control.js
+const modeStyles = {
+  road: { width: 2, dash: '2 3' },
+  chaussee: { width: 2.5, dash: '6 3' },
+  ferry: { width: 3, dash: '6 6' },
+  ship: { width: 3, dash: '6 6' },
+  metro: { width: 3, dash: '4 4' },
+  railway: { width: 4, rail: '4 4' },
+  'narrow-gauge railway': { width: 3, rail: '3 3' },
+  transfer: { width: 1.5, dash: '1 3' },
+  switch: { width: 1.5, dash: '1 3' },
+  connection: { width: 1.5, dash: '1 3' }
+};
+const defaultStyle = { width: 3 };
+
+function formatMinutes(mins) {
+  return humanizeDuration((Number(mins) || 0) * 60000, { largest: 2, round: true, units: ['d', 'h', 'm'] });
+}
+
+function escapeXml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  }[c]));
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+// Web Mercator, unscaled: x and y in 0..1
+function mercator([lng, lat]) {
+  const clamped = Math.max(-85, Math.min(85, lat)) * Math.PI / 180;
+  return [(lng + 180) / 360, (1 - Math.log(Math.tan(clamped) + 1 / Math.cos(clamped)) / Math.PI) / 2];
+}
+
+function lineCoords(feature) {
+  const g = feature && feature.geometry;
+  if (!g) return [];
+  if (g.type === 'LineString') return [g.coordinates];
+  if (g.type === 'MultiLineString') return g.coordinates;
+  return [];
+}
+
+// Fit [minLng, minLat, maxLng, maxLat] into the map area, keeping the aspect ratio
+function createProjection(bbox, width, height) {
+  const [x0, y1] = mercator([bbox[0], bbox[1]]);
+  const [x1, y0] = mercator([bbox[2], bbox[3]]);
+  const spanX = Math.max(x1 - x0, 1e-6);
+  const spanY = Math.max(y1 - y0, 1e-6);
+  const scale = Math.min((width - 2 * PADDING) / spanX, (height - 2 * PADDING) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+  const project = (c) => {
+    const [x, y] = mercator(c);
+    return [offsetX + (x - x0) * scale, offsetY + (y - y0) * scale];
+  };
+  // The area actually shown, which is wider or taller than bbox
+  const unproject = ([px, py]) => {
+    const x = x0 + (px - offsetX) / scale;
+    const y = y0 + (py - offsetY) / scale;
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI;
+    return [x * 360 - 180, lat];
+  };
+  const [west, north] = unproject([0, 0]);
+  const [east, south] = unproject([width, height]);
+  return { project, view: [west, south, east, north] };
+}
+
+function pathData(coords, project) {
+  return coords.map((c, i) => {
+    const [x, y] = project(c);
+    return `${i ? 'L' : 'M'}${x.toFixed(1)} ${y.toFixed(1)}`;
+  }).join('');
+}
+
+function inView(c, view) {
+  return c[0] >= view[0] && c[0] <= view[2] && c[1] >= view[1] && c[1] <= view[3];
+}
+
+// Graticule every 1, 2, 5 or 10 degrees, whichever gives a handful of lines
+function graticule(view, project, width, height) {
+  const span = Math.max(view[2] - view[0], view[3] - view[1]);
+  const step = [1, 2, 5, 10, 20].find(s => span / s <= 8) || 30;
+  const parts = [];
+  for (let lng = Math.ceil(view[0] / step) * step; lng <= view[2]; lng += step) {
+    const [x] = project([lng, 0]);
+    parts.push(`<line x1="${x.toFixed(1)}" y1="0" x2="${x.toFixed(1)}" y2="${height}"/>`);
+    parts.push(`<text x="${(x + 3).toFixed(1)}" y="${height - 4}" class="grid-label">${lng}°</text>`);
+  }
+  for (let lat = Math.ceil(view[1] / step) * step; lat <= view[3]; lat += step) {
+    const [, y] = project([0, lat]);
+    parts.push(`<line x1="0" y1="${y.toFixed(1)}" x2="${width}" y2="${y.toFixed(1)}"/>`);
+    parts.push(`<text x="3" y="${(y - 3).toFixed(1)}" class="grid-label">${lat}°</text>`);
+  }
+  return `<g class="graticule">${parts.join('')}</g>`;
+}
+
+function routeLine(d, colour, style) {
+  const dash = style.dash ? ` stroke-dasharray="${style.dash}"` : '';
+  let svg = `<path d="${d}" fill="none" stroke="${escapeXml(colour)}" stroke-width="${style.width}"${dash} stroke-linejoin="round" stroke-linecap="round"/>`;
+  // Railways get the white cross-ties of the map's fallback rail pattern
+  if (style.rail) {
+    svg += `<path d="${d}" fill="none" stroke="#ffffff" stroke-width="${Math.max(1, style.width - 2)}" stroke-dasharray="${style.rail}"/>`;
+  }
+  return svg;
+}
+
+function renderSvg({ route, network, places, sourceName, targetName, year, width, height }) {
+  const segments = route.features.filter(f => lineCoords(f).length);
+  const allCoords = segments.flatMap(f => lineCoords(f).flat());
+  if (!allCoords.length) throw Object.assign(new Error('The route has no geometry'), { status: 404 });
+
+  // Legend: one row per mode, in order of first use, with its minutes
+  const modes = [];
+  const minutesByMode = new Map();
+  let total = 0;
+  route.features.forEach(f => {
+    const p = f.properties || {};
+    const mode = modeNames[Number(p.mode)] || String(p.mode || '');
+    const cost = Number(p.cost) || 0;
+    total += cost;
+    if (mode === 'switch' && String(p.source) === String(p.target)) return;
+    if (!minutesByMode.has(mode)) modes.push(mode);
+    minutesByMode.set(mode, (minutesByMode.get(mode) || 0) + cost);
+  });
+  const legendHeight = 54 + modes.length * LEGEND_ROW;
+  const mapHeight = height - legendHeight;
+
+  const bbox = allCoords.reduce((b, c) => [
+    Math.min(b[0], c[0]), Math.min(b[1], c[1]), Math.max(b[2], c[0]), Math.max(b[3], c[1])
+  ], [Infinity, Infinity, -Infinity, -Infinity]);
+  const { project, view } = createProjection(bbox, width, mapHeight);
+
+  const networkPaths = (network ? network.features : [])
+    .flatMap(f => lineCoords(f))
+    .filter(coords => coords.some(c => inView(c, view)))
+    .map(coords => `<path d="${pathData(coords, project)}"/>`);
+
+  const routePaths = segments.map(f => {
+    const p = f.properties || {};
+    const mode = modeNames[Number(p.mode)] || '';
+    const colour = p.colour && !/^\s*$/.test(p.colour) ? p.colour : '#000000';
+    const style = modeStyles[mode] || defaultStyle;
+    return lineCoords(f).map(coords => routeLine(pathData(coords, project), colour, style)).join('');
+  });
+
+  const first = lineCoords(segments[0])[0][0];
+  const lastCoords = lineCoords(segments[segments.length - 1]).flat();
+  const last = lastCoords[lastCoords.length - 1];
+  const endpoint = (c, fill, name) => {
+    const [x, y] = project(c);
+    return `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="6" fill="${fill}" stroke="#ffffff" stroke-width="2"/>` +
+      `<text x="${(x + 9).toFixed(1)}" y="${(y + 4).toFixed(1)}" class="endpoint">${escapeXml(name)}</text>`;
+  };
+
+  const placeMarks = places
+    .filter(pl => inView(pl.coordinates, view))
+    .slice(0, 40)
+    .map(pl => {
+      const [x, y] = project(pl.coordinates);
+      return `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="2.5"/>` +
+        `<text x="${(x + 5).toFixed(1)}" y="${(y + 3).toFixed(1)}">${escapeXml(pl.name)}</text>`;
+    });
+
+  const legendRows = modes.map((mode, i) => {
+    const y = mapHeight + 46 + i * LEGEND_ROW;
+    const style = modeStyles[mode] || defaultStyle;
+    return routeLine(`M16 ${y - 4}L56 ${y - 4}`, '#333333', style) +
+      `<text x="66" y="${y}">${escapeXml(mode || 'unknown')}</text>` +
+      `<text x="${width - 16}" y="${y}" text-anchor="end">${escapeXml(formatMinutes(minutesByMode.get(mode)))}</text>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">
+<style>
+.graticule line { stroke: #c9d3dc; stroke-width: 0.5; }
+.grid-label { font-size: 9px; fill: #8a97a3; }
+.network path { fill: none; stroke: #b8b2a6; stroke-width: 1; }
+.places circle { fill: #555555; }
+.places text { font-size: 10px; fill: #444444; paint-order: stroke; stroke: #f4f1ea; stroke-width: 3px; }
+.endpoint { font-size: 12px; font-weight: bold; fill: #222222; paint-order: stroke; stroke: #ffffff; stroke-width: 3px; }
+.legend text { font-size: 11px; fill: #222222; }
+.legend .title { font-size: 13px; font-weight: bold; }
+</style>
+<clipPath id="map-area"><rect width="${width}" height="${mapHeight}"/></clipPath>
+<g clip-path="url(#map-area)">
+<rect width="${width}" height="${mapHeight}" fill="#f4f1ea"/>
+${graticule(view, project, width, mapHeight)}
+<g class="network">${networkPaths.join('')}</g>
+<g class="places">${placeMarks.join('')}</g>
+<g class="route">${routePaths.join('')}</g>
+${endpoint(first, '#2e7d32', sourceName)}
+${endpoint(last, '#d32f2f', targetName)}
+</g>
+<g class="legend">
+<rect y="${mapHeight}" width="${width}" height="${legendHeight}" fill="#ffffff"/>
+<line x1="0" y1="${mapHeight}" x2="${width}" y2="${mapHeight}" stroke="#999999"/>
+<text x="16" y="${mapHeight + 22}" class="title">${escapeXml(`${sourceName} → ${targetName}, ${year}`)}</text>
+<text x="${width - 16}" y="${mapHeight + 22}" text-anchor="end" class="title">${escapeXml(formatMinutes(total))}</text>
+${legendRows.join('\n')}
+</g>
+</svg>
+`;
+}
+
+// PNG output is optional: it needs the @resvg/resvg-js package
+function rasterise(svg, width) {
+  let Resvg;
+  try {
+    ({ Resvg } = require('@resvg/resvg-js'));
+  } catch (e) {
+    throw Object.assign(new Error('PNG output needs @resvg/resvg-js, which is not installed here; use route.svg instead'), { status: 501 });
+  }
+  return new Resvg(svg, { fitTo: { mode: 'width', value: width }, font: { loadSystemFonts: true } }).render().asPng();
+}
+
+// createRouteSnapshot(apiBase, { proxyCache }) returns an Express router serving
+// /snapshot/route.svg and .png. With proxyCache (the /api router from server/proxy-cache.js, for
+// the same API) upstream requests go through its cache and each client counts against its limit.
+function createRouteSnapshot(apiBase, { proxyCache = null } = {}) {
+  const base = apiBase.replace(/\/$/, '');
+  const router = express.Router();
+  const upstream = proxyCache
+    ? (path) => proxyCache.fetchCached(path)
+    : (path) => fetch(`${base}${path}`, { headers: { accept: 'application/json' } });
+
+  async function getJson(path, { optional = false } = {}) {
+    const res = await upstream(path);
+    if (!res.ok) {
+      if (optional) return null;
+      throw Object.assign(new Error(res.status === 404 ? 'No route found' : `API request failed: HTTP ${res.status}`), {
+        status: res.status === 404 ? 404 : 502
+      });
+    }
+    return res.json();
+  }
+
+  // The gazetteer and the yearly networks change rarely; keep them for the life of the process.
+  // Failed requests are not kept, so they are tried again next time.
+  let placesPromise = null;
+  const networkPromises = new Map();
+
+  function getPlaces() {
+    if (!placesPromise) {
+      placesPromise = getJson('/v2/nodes').then(fc => {
+        const byId = new Map();
+        (fc.features || []).forEach(f => {
+          const p = f.properties || {};
+          const id = String(p.id);
+          // Prefer the Turkish name, as the mock's primary name does
+          if (!byId.has(id) || p.iso639 === 'tur') {
+            byId.set(id, { id, name: p.name, rank: Number(p.rank) || 0, coordinates: f.geometry.coordinates });
+          }
+        });
+        return byId;
+      }).catch(err => {
+        placesPromise = null;
+        throw err;
+      });
+    }
+    return placesPromise;
+  }
+
+  // The basemap can do without the network, so failures resolve to null
+  function getNetwork(year) {
+    let promise = networkPromises.get(year);
+    if (promise) {
+      networkPromises.delete(year);
+    } else {
+      promise = getJson(`/v2/network?year=${year}`, { optional: true }).catch(() => null).then(network => {
+        if (!network && networkPromises.get(year) === promise) networkPromises.delete(year);
+        return network;
+      });
+    }
+    networkPromises.set(year, promise);
+    while (networkPromises.size > MAX_NETWORK_YEARS) {
+      networkPromises.delete(networkPromises.keys().next().value);
+    }
+    return promise;
+  }
+
+  async function snapshot(req) {
+    const source = String(req.query.source || '');
+    const target = String(req.query.target || '');
+    if (!/^\d+$/.test(source) || !/^\d+$/.test(target)) {
+      throw Object.assign(new Error('source and target must be node ids'), { status: 400 });
+    }
+    const year = clampInt(req.query.year, MIN_YEAR, MAX_YEAR, 1914);
+    const width = clampInt(req.query.width, 300, 3000, 800);
+    const height = clampInt(req.query.height, 300, 3000, 600);
+
+    const params = new URLSearchParams({ source, target, year: String(year) });
+    if (req.query.exclude_modes) params.set('exclude_modes', String(req.query.exclude_modes));
+    if (req.query.modes) params.set('modes', String(req.query.modes));
+
+    const [route, network, placesById] = await Promise.all([
+      getJson(`/v2/route?${params}`),
+      getNetwork(year),
+      getPlaces().catch(() => new Map())
+    ]);
+    if (!route || !Array.isArray(route.features) || !route.features.length) {
+      throw Object.assign(new Error('No route found'), { status: 404 });
+    }
+
+    const nameOf = (id) => (placesById.get(id) ? placesById.get(id).name : `#${id}`);
+    const places = Array.from(placesById.values())
+      .filter(pl => pl.rank >= 8 && pl.id !== source && pl.id !== target)
+      .sort((a, b) => b.rank - a.rank);
+    const svg = renderSvg({ route, network, places, sourceName: nameOf(source), targetName: nameOf(target), year, width, height });
+    return { svg, width };
+  }
+
+  const handler = (format) => async (req, res) => {
+    try {
+      const { svg, width } = await snapshot(req);
+      res.set('Cache-Control', 'public, max-age=3600');
+      if (format === 'png') {
+        res.type('png').send(rasterise(svg, width));
+      } else {
+        res.type('svg').send(svg);
+      }
+    } catch (err) {
+      const status = err.status || 502;
+      if (status >= 500) console.warn('Route snapshot failed:', err && err.message ? err.message : err);
+      res.status(status).json({ error: err.message || 'Snapshot failed' });
+    }
+  };
+
+  const limit = proxyCache ? proxyCache.limit : (req, res, next) => next();
+  router.get('/snapshot/route.svg', limit, handler('svg'));
+  router.get('/snapshot/route.png', limit, handler('png'));
+
+  return router;
+}
+
+module.exports = { createRouteSnapshot, renderSvg };
@@ -0,0 +1,112 @@
+// src/coordinates.js
+// Coordinates typed into a stop input (e.g. read off a historic map) and the nodes nearest to them.
+// parseCoordinates accepts latitude before longitude unless hemisphere letters say otherwise:
+//   41.0123, 28.9784      41.0123 28.9784      N41.0123 E28.9784      28.9784E 41.0123N
+//   41°0'44"N 28°58'42"E  41°0.73'N, 28°58.7'E
+// Distances are great-circle distances (haversineKm).
+
+import { haversineKm } from './helpers.js';
+
+// Walking pace for the leg between a typed point and its chosen node
+export const walkingSpeedKmh = 5;
+
+// One coordinate: degrees, optionally with ° and minutes and seconds, and a hemisphere letter either
+// before or after (never both, so "N41.01 E28.97" splits between the two)
+const dms = String.raw`([-+]?\d+(?:\.\d+)?)\s*(?:(°)\s*(?:(\d+(?:\.\d+)?)\s*'\s*(?:(\d+(?:\.\d+)?)\s*"\s*)?)?)?`;
+const part = String.raw`(?:([NSEW])\s*${dms}|${dms}\s*([NSEW])?)`;
+const pairPattern = new RegExp(`^${part}\\s*([,;]?)\\s*${part}$`);
+
+// readPart takes the ten groups of one part
+function readPart(groups) {
+    const [prefix, ...rest] = groups;
+    const [deg, degreeSign, min, sec] = prefix ? rest.slice(0, 4) : rest.slice(4, 8);
+    const suffix = rest[8];
+    // Minutes and seconds only follow whole degrees
+    if ((min !== undefined || sec !== undefined) && !/^[-+]?\d+$/.test(deg)) return null;
+    const minutes = Number(min || 0);
+    const seconds = Number(sec || 0);
+    if (minutes >= 60 || seconds >= 60) return null;
+    const negative = deg.startsWith('-');
+    const value = Math.abs(Number(deg)) + minutes / 60 + seconds / 3600;
+    const hemisphere = prefix || suffix || null;
+    if (hemisphere && (negative || deg.startsWith('+'))) return null;
+    return {
+        value: negative || hemisphere === 'S' || hemisphere === 'W' ? -value : value,
+        hemisphere,
+        marked: !!hemisphere || !!degreeSign,
+        decimal: deg.includes('.')
+    };
+}
+
+// parseCoordinates returns [lng, lat] for text holding a coordinate pair, otherwise null
+export function parseCoordinates(text) {
+    const s = String(text || '')
+        .trim()
+        .toUpperCase()
+        .replace(/[º˚]/g, '°')
+        .replace(/[′’´]/g, "'")
+        .replace(/[″”]|''/g, '"');
+    const m = pairPattern.exec(s);
+    if (!m) return null;
+    const first = readPart(m.slice(1, 11));
+    const second = readPart(m.slice(12, 22));
+    if (!first || !second) return null;
+    // A bare pair of whole numbers ("12 34") is more likely a search for something else
+    if (!m[11] && !first.marked && !second.marked && !first.decimal && !second.decimal) return null;
+
+    const isLat = p => p.hemisphere === 'N' || p.hemisphere === 'S';
+    const isLng = p => p.hemisphere === 'E' || p.hemisphere === 'W';
+    let lat = first;
+    let lng = second;
+    if (isLng(first) || isLat(second)) {
+        lat = second;
+        lng = first;
+    }
+    if (isLng(lat) || isLat(lng)) return null;
+    if (Math.abs(lat.value) > 90 || Math.abs(lng.value) > 180) return null;
+    return [lng.value, lat.value];
+}
+
+// Gazetteer entries without a location of their own (alternate names) sit at 0, 0 or have no geometry
+function locationOf(feat) {
+    const c = feat && feat.geometry && feat.geometry.coordinates;
+    if (!Array.isArray(c) || c.length < 2 || (c[0] === 0 && c[1] === 0)) return null;
+    return c;
+}
+
+// nearestNodes returns [{ feature, km }] nearest first, one per node id. options.limit caps the list;
+// with options.groupBy (feature -> key) it caps each group instead, e.g. the nearest few of every rank.
+export function nearestNodes(features, point, options = {}) {
+    const seen = new Set();
+    const all = [];
+    (features || []).forEach(f => {
+        const id = f && f.properties && f.properties.id;
+        const c = locationOf(f);
+        if (id === undefined || id === null || !c || seen.has(String(id))) return;
+        seen.add(String(id));
+        all.push({ feature: f, km: haversineKm(point, c) });
+    });
+    all.sort((a, b) => a.km - b.km);
+    if (!options.limit) return all;
+    const groupBy = options.groupBy || (() => '');
+    const counts = new Map();
+    return all.filter(n => {
+        const key = groupBy(n.feature);
+        const count = counts.get(key) || 0;
+        counts.set(key, count + 1);
+        return count < options.limit;
+    });
+}
+
+// formatDistance: "650 m", "2.4 km", "37 km"
+export function formatDistance(km) {
+    if (!Number.isFinite(km)) return '';
+    if (km < 1) return `${Math.round(km * 100) * 10} m`;
+    if (km < 10) return `${km.toFixed(1)} km`;
+    return `${Math.round(km)} km`;
+}
+
+// walkingMinutes at walkingSpeedKmh
+export function walkingMinutes(km) {
+    return Math.round(km / walkingSpeedKmh * 60);
+}
@@ -0,0 +1,170 @@
+// src/export.js
+// Client-side exporters for a rendered itinerary (the enriched /v2/route FeatureCollection).
+// Everything here is plain string building, so exports also work offline.
+
+import { modeIntToName } from './helpers.js';
+
+function xmlEscape(s) {
+    return String(s ?? '').replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&apos;',
+    }[c]));
+}
+
+function csvCell(value) {
+    const s = String(value ?? '');
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Coordinates of a segment as one flat line
+function lineCoords(feature) {
+    const g = feature && feature.geometry;
+    if (!g) return [];
+    if (g.type === 'LineString') return g.coordinates || [];
+    if (g.type === 'MultiLineString') return (g.coordinates || []).flat();
+    if (g.type === 'Point') return [g.coordinates];
+    return [];
+}
+
+function segmentInfo(feature, nameFor) {
+    const p = feature.properties || {};
+    const sourceId = p.source ?? p.src ?? '';
+    const targetId = p.target ?? p.tgt ?? '';
+    return {
+        sourceId,
+        targetId,
+        sourceName: nameFor(sourceId),
+        targetName: nameFor(targetId),
+        line: p.line ?? p.name ?? '',
+        mode: p.ml_mode_lower || modeIntToName[Number(p.mode)] || '',
+        cost: Number(p.cost) || 0,
+        leg: Number(p.ml_leg) || 0,
+        color: p.ml_color || p.colour || '#000000'
+    };
+}
+
+// Ordered stops along the route (each node once per visit) with their coordinates
+function routeWaypoints(routeGeo, nameFor) {
+    const points = [];
+    (routeGeo.features || []).forEach((f, idx) => {
+        const info = segmentInfo(f, nameFor);
+        const coords = lineCoords(f);
+        if (!coords.length) return;
+        if (idx === 0) points.push({ id: info.sourceId, name: info.sourceName, coord: coords[0] });
+        const last = points[points.length - 1];
+        if (!last || String(last.id) !== String(info.targetId)) {
+            points.push({ id: info.targetId, name: info.targetName, coord: coords[coords.length - 1] });
+        }
+    });
+    return points;
+}
+
+// routeToGeoJSON keeps the enriched properties (ml_mode_lower, ml_color, ...) and adds node names
+export function routeToGeoJSON(routeGeo, nameFor) {
+    const features = (routeGeo.features || []).map(f => {
+        const info = segmentInfo(f, nameFor);
+        return {
+            type: 'Feature',
+            geometry: f.geometry,
+            properties: { ...(f.properties || {}), source_name: info.sourceName, target_name: info.targetName }
+        };
+    });
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+export function routeToGPX(routeGeo, nameFor, title) {
+    const wpts = routeWaypoints(routeGeo, nameFor).map(pt =>
+        `  <wpt lat="${pt.coord[1]}" lon="${pt.coord[0]}"><name>${xmlEscape(pt.name)}</name></wpt>`
+    );
+    const segs = (routeGeo.features || []).map(f => {
+        const pts = lineCoords(f).map(c => `      <trkpt lat="${c[1]}" lon="${c[0]}"></trkpt>`);
+        return `    <trkseg>\n${pts.join('\n')}\n    </trkseg>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Ottoman Routing" xmlns="http://www.topografix.com/GPX/1/1">',
+        `  <metadata><name>${xmlEscape(title)}</name></metadata>`,
+        ...wpts,
+        '  <trk>',
+        `    <name>${xmlEscape(title)}</name>`,
+        ...segs,
+        '  </trk>',
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+// KML colours are aabbggrr
+function kmlColor(hex) {
+    const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim());
+    const rgb = m ? m[1] : '000000';
+    return `ff${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+}
+
+export function routeToKML(routeGeo, nameFor, title) {
+    const placemarks = routeWaypoints(routeGeo, nameFor).map(pt => [
+        '    <Placemark>',
+        `      <name>${xmlEscape(pt.name)}</name>`,
+        `      <Point><coordinates>${pt.coord[0]},${pt.coord[1]}</coordinates></Point>`,
+        '    </Placemark>'
+    ].join('\n'));
+
+    const lines = (routeGeo.features || []).map(f => {
+        const info = segmentInfo(f, nameFor);
+        const coords = lineCoords(f).map(c => `${c[0]},${c[1]}`).join(' ');
+        return [
+            '    <Placemark>',
+            `      <name>${xmlEscape(info.line || info.mode)}</name>`,
+            `      <description>${xmlEscape(`${info.mode}: ${info.sourceName} → ${info.targetName}, ${info.cost} min`)}</description>`,
+            `      <Style><LineStyle><color>${kmlColor(info.color)}</color><width>4</width></LineStyle></Style>`,
+            `      <LineString><tessellate>1</tessellate><coordinates>${coords}</coordinates></LineString>`,
+            '    </Placemark>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${xmlEscape(title)}</name>`,
+        ...placemarks,
+        ...lines,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+// routeToCSV writes one row per segment
+export function routeToCSV(routeGeo, nameFor) {
+    const header = ['seq', 'leg', 'line', 'mode', 'cost_minutes', 'source_id', 'source_name', 'target_id', 'target_name'];
+    const rows = (routeGeo.features || []).map((f, idx) => {
+        const info = segmentInfo(f, nameFor);
+        return [idx + 1, info.leg + 1, info.line, info.mode, info.cost, info.sourceId, info.sourceName, info.targetId, info.targetName];
+    });
+    // BOM so spreadsheet apps pick up UTF-8 (Ottoman / Greek names)
+    return '\uFEFF' + [header, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+export const exportFormats = [
+    { id: 'geojson', label: 'GeoJSON', ext: 'geojson', mime: 'application/geo+json', build: (r, nameFor) => routeToGeoJSON(r, nameFor) },
+    { id: 'gpx', label: 'GPX', ext: 'gpx', mime: 'application/gpx+xml', build: (r, nameFor, title) => routeToGPX(r, nameFor, title) },
+    { id: 'kml', label: 'KML', ext: 'kml', mime: 'application/vnd.google-earth.kml+xml', build: (r, nameFor, title) => routeToKML(r, nameFor, title) },
+    { id: 'csv', label: 'CSV', ext: 'csv', mime: 'text/csv', build: (r, nameFor) => routeToCSV(r, nameFor) },
+];
+
+// downloadFile saves text content through a temporary object URL
+export function downloadFile(filename, content, mime) {
+    const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
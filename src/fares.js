@@ -0,0 +1,115 @@
+// src/fares.js
+// Fare estimates for an itinerary in kuruş (piastres; 1 lira = 100 kuruş, 1 kuruş = 40 para).
+// Rates are indicative third-class / deck fares per mode and can change by year: each mode has a
+// list of rates, the last one whose `since` is not after the routing year applies.
+// A rate is either per km (with an optional minimum per ride) or a flat fare per ride.
+
+import { modeIntToName, haversineKm } from './helpers.js';
+
+export const fareTables = {
+    railway: [
+        { since: 0, perKm: 0.6, minimum: 2 },
+        { since: 1890, perKm: 0.45, minimum: 2 },
+        { since: 1915, perKm: 1.2, minimum: 5 },
+    ],
+    'narrow-gauge railway': [
+        { since: 0, perKm: 0.5, minimum: 1 },
+        { since: 1915, perKm: 1, minimum: 3 },
+    ],
+    ship: [
+        { since: 0, perKm: 0.3, minimum: 5 },
+        { since: 1915, perKm: 0.8, minimum: 10 },
+    ],
+    ferry: [
+        { since: 0, perRide: 1.5 },
+        { since: 1915, perRide: 3 },
+    ],
+    metro: [
+        { since: 0, perRide: 0.5 },
+        { since: 1915, perRide: 1 },
+    ],
+    'horse tramway': [
+        { since: 0, perRide: 1 },
+    ],
+    'electric tramway': [
+        { since: 0, perRide: 1 },
+        { since: 1915, perRide: 2 },
+    ],
+    'steam tramway': [
+        { since: 0, perRide: 1.5 },
+    ],
+    // hired carriage on a metalled road; walking (road) and changing are free
+    chaussee: [
+        { since: 0, perKm: 1.5, minimum: 3 },
+        { since: 1915, perKm: 4, minimum: 8 },
+    ],
+};
+
+// fareRate returns the rate for `mode` in `year`, or null when the mode is free
+export function fareRate(mode, year) {
+    const rates = fareTables[mode];
+    if (!rates) return null;
+    let rate = null;
+    rates.forEach(r => {
+        if (r.since <= Number(year)) rate = r;
+    });
+    return rate;
+}
+
+function segmentKm(feature) {
+    const g = feature && feature.geometry;
+    if (!g) return 0;
+    const lines = g.type === 'LineString' ? [g.coordinates || []]
+        : g.type === 'MultiLineString' ? (g.coordinates || []) : [];
+    let km = 0;
+    lines.forEach(coords => {
+        for (let i = 1; i < coords.length; i++) km += haversineKm(coords[i - 1], coords[i]);
+    });
+    return km;
+}
+
+// routeFare prices route features for `year`. A ride (consecutive segments on the same mode and
+// line within one leg) pays one fare, booked on its first segment.
+// Returns { total, segments: [kuruş per feature], legs: [kuruş per ml_leg] }.
+export function routeFare(features, year) {
+    const segments = (features || []).map(() => 0);
+    const legs = [];
+    let ride = null;
+
+    const closeRide = () => {
+        if (!ride) return;
+        let fare = ride.rate.perRide ?? ride.km * (ride.rate.perKm || 0);
+        if (ride.rate.minimum) fare = Math.max(fare, ride.rate.minimum);
+        segments[ride.firstIdx] = fare;
+        legs[ride.leg] = (legs[ride.leg] || 0) + fare;
+        ride = null;
+    };
+
+    (features || []).forEach((f, idx) => {
+        const p = f.properties || {};
+        const mode = modeIntToName[Number(p.mode)] || '';
+        const leg = Number(p.ml_leg) || 0;
+        if (legs[leg] === undefined) legs[leg] = 0;
+        const rate = fareRate(mode, year);
+        const key = `${leg}|${mode}|${p.line ?? ''}`;
+        if (!ride || ride.key !== key) {
+            closeRide();
+            if (rate) ride = { key, rate, km: 0, firstIdx: idx, leg };
+        }
+        if (ride) ride.km += segmentKm(f);
+    });
+    closeRide();
+    return { total: legs.reduce((a, b) => a + b, 0), segments, legs };
+}
+
+// formatFare renders kuruş as "30 para", "12 kuruş" or "1 lira 25 kuruş"
+export function formatFare(kurus) {
+    const value = Number(kurus) || 0;
+    if (value <= 0) return 'free';
+    if (value < 1) return `${Math.max(1, Math.round(value * 40))} para`;
+    const whole = Math.round(value);
+    if (whole < 100) return `${whole} kuruş`;
+    const lira = Math.floor(whole / 100);
+    const rest = whole % 100;
+    return rest ? `${lira} lira ${rest} kuruş` : `${lira} lira`;
+}
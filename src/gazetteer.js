@@ -0,0 +1,179 @@
+// src/gazetteer.js
+// The places tab: administrative centres (ranks pay-ı taht down to nâhiye merkezi) as a tree.
+// The gazetteer has no province boundaries, so a centre goes under the higher ranked centre it is
+// clustered with, otherwise under the nearest higher ranked one (a kazâ next to a vilâyet centre that
+// is also its sancak centre lands under the vilâyet).
+// Map flying, stop picking and wiring live in search-control.js.
+
+import { escapeHtml, wrapArabic, rankLabelMap, haversineKm } from './helpers.js';
+import { searchKey } from './transliterate.js';
+
+// Ranks listed in the tab, highest first; vilâyet centres and the capital are the top level
+export const adminRanks = [10, 9, 8, 7, 6];
+const topLevelRank = 9;
+
+// Short forms for the counts ("3 sancak · 12 kazâ")
+const rankShortLabels = { 10: 'pay-ı taht', 9: 'vilâyet', 8: 'sancak', 7: 'kazâ', 6: 'nâhiye' };
+
+// Zoom to fly to per rank
+const rankZoom = { 10: 8, 9: 8, 8: 9, 7: 10, 6: 11 };
+
+export const gazetteerSorts = {
+    name: 'Name',
+    count: 'Most centres',
+    nearby: 'Nearest to map centre'
+};
+
+function locationOf(feat) {
+    const c = feat && feat.geometry && feat.geometry.coordinates;
+    if (!Array.isArray(c) || c.length < 2 || (c[0] === 0 && c[1] === 0)) return null;
+    return c;
+}
+
+function countDescendants(entry) {
+    entry.counts = {};
+    entry.total = 0;
+    entry.children.forEach(child => {
+        countDescendants(child);
+        entry.counts[child.rank] = (entry.counts[child.rank] || 0) + 1;
+        Object.entries(child.counts).forEach(([rank, n]) => {
+            entry.counts[rank] = (entry.counts[rank] || 0) + n;
+        });
+        entry.total += 1 + child.total;
+    });
+}
+
+// buildGazetteer returns { roots, byId, counts } from the node features: one entry per located node
+// id of an administrative rank, { id, name, ota, rank, coordinates, parent, children, counts, total }
+export function buildGazetteer(features) {
+    const byId = new Map();
+    (features || []).forEach(f => {
+        const p = f && f.properties;
+        const c = locationOf(f);
+        if (!p || p.id === undefined || p.id === null || !c || byId.has(String(p.id))) return;
+        const rank = Number(p.rank);
+        if (!adminRanks.includes(rank)) return;
+        const name = String(p.name || p.ota || p.id);
+        byId.set(String(p.id), {
+            id: String(p.id),
+            name,
+            ota: p.ota || '',
+            rank,
+            coordinates: c,
+            cluster: p.cluster ?? null,
+            key: searchKey(name).latin,
+            parent: null,
+            children: []
+        });
+    });
+
+    const entries = Array.from(byId.values());
+    entries.forEach(entry => {
+        if (entry.rank >= topLevelRank) return;
+        const clustered = entry.cluster !== null ? byId.get(String(entry.cluster)) : null;
+        if (clustered && clustered.rank > entry.rank) {
+            entry.parent = clustered;
+        } else {
+            let bestKm = Infinity;
+            entries.forEach(other => {
+                if (other.rank <= entry.rank) return;
+                const km = haversineKm(entry.coordinates, other.coordinates);
+                if (km < bestKm) {
+                    bestKm = km;
+                    entry.parent = other;
+                }
+            });
+        }
+        if (entry.parent) entry.parent.children.push(entry);
+    });
+
+    const roots = entries.filter(e => !e.parent);
+    roots.forEach(countDescendants);
+    const counts = {};
+    entries.forEach(e => {
+        counts[e.rank] = (counts[e.rank] || 0) + 1;
+    });
+    return { roots, byId, counts };
+}
+
+// ancestorsOf returns the entry's parents, top level first
+export function ancestorsOf(entry) {
+    const out = [];
+    for (let p = entry && entry.parent; p; p = p.parent) out.unshift(p);
+    return out;
+}
+
+export function zoomForRank(rank) {
+    return rankZoom[rank] || 10;
+}
+
+// sortEntries: by name, by the number of centres under them, or by distance from `center` ([lng, lat])
+export function sortEntries(entries, sort, center) {
+    const list = entries.slice();
+    const byName = (a, b) => a.name.localeCompare(b.name, 'tr');
+    if (sort === 'count') return list.sort((a, b) => (b.total - a.total) || byName(a, b));
+    if (sort === 'nearby' && center) {
+        const km = new Map(list.map(e => [e, haversineKm(center, e.coordinates)]));
+        return list.sort((a, b) => km.get(a) - km.get(b));
+    }
+    return list.sort(byName);
+}
+
+// "3 sancak · 12 kazâ", highest rank first
+export function formatCounts(counts) {
+    return adminRanks
+        .filter(rank => counts[rank])
+        .map(rank => `${counts[rank]} ${rankShortLabels[rank]}`)
+        .join(' · ');
+}
+
+function entryRowHtml(entry, view, meta) {
+    const isActive = entry.id === view.activeId;
+    const isOpen = view.expanded.has(entry.id);
+    const toggle = entry.children.length && !view.query
+        ? `<button type="button" class="ml-place-toggle" data-action="toggle" data-node-id="${escapeHtml(entry.id)}" aria-expanded="${isOpen ? 'true' : 'false'}" aria-label="${isOpen ? 'Collapse' : 'Expand'}">${isOpen ? '▾' : '▸'}</button>`
+        : '<span class="ml-place-toggle" aria-hidden="true"></span>';
+    const actions = isActive
+        ? `<div class="ml-node-panel-actions ml-place-actions">
+            <button type="button" class="ml-node-panel-btn" data-action="from" data-node-id="${escapeHtml(entry.id)}">Route from here</button>
+            <button type="button" class="ml-node-panel-btn" data-action="to" data-node-id="${escapeHtml(entry.id)}">Route to here</button>
+        </div>`
+        : '';
+    return `
+    <div class="ml-place-row${isActive ? ' ml-place-row-active' : ''}">
+        ${toggle}
+        <div class="ml-place-text">
+            <button type="button" class="ml-place-name" data-action="open" data-node-id="${escapeHtml(entry.id)}">${wrapArabic(escapeHtml(entry.name))}</button>
+            <div class="ml-place-meta">${escapeHtml(meta)}</div>
+        </div>
+    </div>${actions}`;
+}
+
+function treeHtml(entries, view) {
+    return `<ul class="ml-place-tree">${sortEntries(entries, view.sort, view.center).map(entry => {
+        const meta = [rankLabelMap[entry.rank], formatCounts(entry.counts)].filter(Boolean).join(' · ');
+        const children = view.expanded.has(entry.id) && entry.children.length ? treeHtml(entry.children, view) : '';
+        return `<li>${entryRowHtml(entry, view, meta)}${children}</li>`;
+    }).join('')}</ul>`;
+}
+
+// Entries whose folded name (or Ottoman name) contains the query, with the centres above them
+function matchesHtml(gazetteer, view) {
+    const key = searchKey(view.query).latin;
+    const matches = Array.from(gazetteer.byId.values())
+        .filter(e => (key && e.key.includes(key)) || (e.ota && e.ota.includes(view.query)));
+    if (!matches.length) return '<div class="ml-places-empty">No matching places</div>';
+    const shown = sortEntries(matches, view.sort, view.center).slice(0, view.limit || 100);
+    return `<ul class="ml-place-tree">${shown.map(entry => {
+        const path = ancestorsOf(entry).map(a => a.name).join(' › ');
+        const meta = [rankLabelMap[entry.rank], path].filter(Boolean).join(' · ');
+        return `<li>${entryRowHtml(entry, view, meta)}</li>`;
+    }).join('')}</ul>`;
+}
+
+// renderGazetteerHtml: view is { expanded: Set of ids, activeId, sort, center, query }
+export function renderGazetteerHtml(gazetteer, view) {
+    if (!gazetteer.byId.size) return '<div class="ml-places-empty">No administrative centres in the gazetteer</div>';
+    const summary = `<div class="ml-places-summary">${escapeHtml(formatCounts(gazetteer.counts))}</div>`;
+    return summary + (view.query ? matchesHtml(gazetteer, view) : treeHtml(gazetteer.roots, view));
+}
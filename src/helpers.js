@@ -1,5 +1,6 @@
 // helpers.js
 import humanizeDuration from 'humanize-duration';
+import modeNames from './modes.json';
 
 export const isoLanguages = [
 { code: 'ota', name: 'Ottoman' },
@@ -18,26 +19,18 @@ export const isoCodeToName = isoLanguages.reduce((acc, item) => {
     return acc;
 }, {});
 
-// Integer mode value to named mode mapping from API
-export const modeIntToName = {
-    1: 'road',
-    2: 'chaussee',
-    3: 'ferry',
-    4: 'metro',
-    5: 'horse tramway',
-    6: 'ship',
-    7: 'electric tramway',
-    8: 'railway',
-    9: 'transfer',
-    10: 'switch',
-    11: 'connection',
-    12: 'steam tramway',
-    13: 'narrow-gauge railway'
-};
+// Integer mode value to named mode mapping from API, shared with the server (server/modes.js)
+export const modeIntToName = modeNames;
 
 // Array of named modes, generated automatically from above
 export const transportModes = Object.values(modeIntToName);
 
+// Reverse lookup (named mode -> integer code), used when sending mode filters to the API
+export const modeNameToInt = Object.entries(modeIntToName).reduce((acc, [code, name]) => {
+    acc[name] = Number(code);
+    return acc;
+}, {});
+
 // escapeHtml utility function
 export function escapeHtml(s) {
     return String(s ?? '').replace(/[&<>"']/g, (c) => ({
@@ -134,3 +127,67 @@ export function wrapArabic(str) {
 
     return String(str).replace(arabicPattern, '<span class="arabic-text">$1</span>');
 }
+
+// Modes that are walking / changing rather than riding a vehicle
+export const nonVehicleModes = ['road', 'chaussee', 'transfer', 'switch', 'connection'];
+
+// summarizeRoute computes total duration, number of transfers and modes used for route features
+// (features as returned by /v2/route). A transfer is a change of vehicle between two rides.
+export function summarizeRoute(features) {
+    let totalMins = 0;
+    let rides = 0;
+    let lastRideKey = null;
+    const modes = [];
+
+    (features || []).forEach(f => {
+        const p = f.properties || {};
+        totalMins += Number(p.cost) || 0;
+        const mode = modeIntToName[Number(p.mode)] || '';
+        if (!mode) return;
+        if (!modes.includes(mode) && !['transfer', 'switch', 'connection'].includes(mode)) modes.push(mode);
+        if (nonVehicleModes.includes(mode)) {
+            lastRideKey = null;
+            return;
+        }
+        const rideKey = `${mode}|${p.line ?? ''}`;
+        if (rideKey !== lastRideKey) rides++;
+        lastRideKey = rideKey;
+    });
+
+    return { totalMins, transfers: Math.max(0, rides - 1), modes };
+}
+
+// haversineKm returns the great-circle distance in km between two [lng, lat] positions
+export function haversineKm(a, b) {
+    const R = 6371;
+    const toRad = (d) => d * Math.PI / 180;
+    const dLat = toRad(b[1] - a[1]);
+    const dLng = toRad(b[0] - a[0]);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// convexHull returns the hull of [lng, lat] points as a closed ring (monotone chain), or null
+// when there are fewer than three distinct points
+export function convexHull(points) {
+    const pts = Array.from(new Set((points || []).map(p => `${p[0]},${p[1]}`)))
+        .map(k => k.split(',').map(Number))
+        .sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+    if (pts.length < 3) return null;
+
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const lower = [];
+    pts.forEach(p => {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    });
+    const upper = [];
+    pts.slice().reverse().forEach(p => {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    });
+    const ring = lower.slice(0, -1).concat(upper.slice(0, -1));
+    if (ring.length < 3) return null;
+    ring.push(ring[0]);
+    return ring;
+}
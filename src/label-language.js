@@ -0,0 +1,45 @@
+// src/label-language.js
+// Map labels in a chosen language: picking a node's name along a fallback chain of ISO 639-3 codes
+// (e.g. ell -> fra -> default name) and choosing a glyph font stack for the script it's written in.
+//
+// Glyphs are served next to index.html as "<font stack>/<range>.pbf" (see "glyphs" in
+// public/terrain-style.json); the Noto Sans ones are generated by scripts/build-glyphs.js. The
+// default stack, Noto Sans Regular, also covers Latin and Greek.
+
+// Font stack per script, each a directory of glyph PBFs in public/
+export const scriptFontStacks = {
+    arabic: 'Amiri Regular',
+    armenian: 'Noto Sans Armenian Regular',
+    hebrew: 'Noto Sans Hebrew Regular'
+};
+
+const scriptPatterns = [
+    ['arabic', /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/],
+    ['greek', /[\u0370-\u03FF\u1F00-\u1FFF]/],
+    ['armenian', /[\u0530-\u058F\uFB13-\uFB17]/],
+    ['hebrew', /[\u0590-\u05FF\uFB1D-\uFB4F]/]
+];
+
+// scriptOf returns 'arabic', 'greek', 'armenian', 'hebrew' or 'latin' (anything else)
+export function scriptOf(text) {
+    const s = String(text || '');
+    const hit = scriptPatterns.find(([, re]) => re.test(s));
+    return hit ? hit[0] : 'latin';
+}
+
+// pickLabel returns the first name along `chain` from names ({ iso639: name }), or null
+export function pickLabel(names, chain) {
+    for (const code of chain || []) {
+        const name = names && names[code];
+        if (name && String(name).trim()) return { name: String(name), iso639: code };
+    }
+    return null;
+}
+
+// labelFontExpression: text-font by the feature's ml_label_script
+export function labelFontExpression(defaultFontStack) {
+    const expr = ['match', ['get', 'ml_label_script']];
+    Object.entries(scriptFontStacks).forEach(([script, stack]) => expr.push(script, ['literal', [stack]]));
+    expr.push(['literal', defaultFontStack]);
+    return expr;
+}
@@ -0,0 +1,105 @@
+// src/line-browser.js
+// Parsing and markup for the line browser tab (/v2/lines and /v2/lines/:id).
+// Fetching, map highlighting and wiring live in search-control.js.
+
+import { escapeHtml, wrapArabic, modeIntToName, modeSymbolMap } from './helpers.js';
+
+// The API may send the mode as an integer code or as a name
+function modeName(mode) {
+    if (mode === null || mode === undefined || mode === '') return '';
+    const asInt = Number(mode);
+    if (Number.isInteger(asInt) && modeIntToName[asInt]) return modeIntToName[asInt];
+    return String(mode).toLowerCase();
+}
+
+// Opening / closing dates may be full ISO dates or bare years
+function dateValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return String(value);
+}
+
+// normalizeLine maps an API line object onto { id, name, mode, colour, opened, closed }
+export function normalizeLine(raw) {
+    const p = (raw && raw.properties) ? raw.properties : (raw || {});
+    return {
+        id: String(p.id ?? p.line_id ?? ''),
+        name: String(p.name ?? p.line ?? ''),
+        mode: modeName(p.mode),
+        colour: p.colour || p.color || null,
+        opened: dateValue(p.opened ?? p.open ?? p.start),
+        closed: dateValue(p.closed ?? p.close ?? p.end)
+    };
+}
+
+// parseLineList accepts { result: [...] }, { lines: [...] }, a bare array or a FeatureCollection
+export function parseLineList(data) {
+    const result = (data && data.result) ? data.result : data;
+    let list = [];
+    if (Array.isArray(result)) list = result;
+    else if (result && Array.isArray(result.lines)) list = result.lines;
+    else if (result && Array.isArray(result.features)) list = result.features;
+    return list.map(normalizeLine).filter(l => l.id);
+}
+
+// parseLineDetail returns { line, geometry, stops } where geometry is a FeatureCollection of the
+// line's segments and stops is an ordered array of node ids
+export function parseLineDetail(data) {
+    const result = (data && data.result) ? data.result : (data || {});
+    const line = normalizeLine(result.line || result.properties || result);
+
+    let features = [];
+    if (Array.isArray(result.features)) features = result.features;
+    else if (result.geometry && Array.isArray(result.geometry.features)) features = result.geometry.features;
+    else if (result.geometry && result.geometry.type) features = [{ type: 'Feature', geometry: result.geometry, properties: {} }];
+
+    const stops = (Array.isArray(result.stops) ? result.stops : [])
+        .map(s => (s && typeof s === 'object') ? (s.id ?? s.node ?? s.properties?.id) : s)
+        .filter(id => id !== null && id !== undefined && id !== '')
+        .map(String);
+
+    return { line, geometry: { type: 'FeatureCollection', features }, stops };
+}
+
+// formatLineDates renders "opened 1872 · closed 1911", or just the known part
+export function formatLineDates(line) {
+    const parts = [];
+    if (line.opened) parts.push(`opened ${line.opened}`);
+    if (line.closed) parts.push(`closed ${line.closed}`);
+    return parts.join(' · ');
+}
+
+function lineIconHtml(line) {
+    const symbol = modeSymbolMap[line.mode] || 'directions_railway_2';
+    return `<span class="material-symbols-outlined ml-icon-inline" aria-hidden="true" style="color:${escapeHtml(line.colour || '#000000')}">${escapeHtml(symbol)}</span>`;
+}
+
+export function renderLineListHtml(lines, activeId) {
+    if (!lines.length) return '<div class="ml-lines-empty">No matching lines</div>';
+    return lines.map(line => `
+    <div class="ml-line-item${line.id === activeId ? ' ml-line-item-active' : ''}" role="button" tabindex="0" data-line-id="${escapeHtml(line.id)}">
+        ${lineIconHtml(line)}
+        <div class="ml-line-item-text">
+            <div class="ml-line-item-name">${wrapArabic(escapeHtml(line.name || line.id))}</div>
+            <div class="ml-line-item-meta">${escapeHtml([line.mode, formatLineDates(line)].filter(Boolean).join(' · '))}</div>
+        </div>
+    </div>`).join('');
+}
+
+// stops: [{ id, name }] in line order
+export function renderLineDetailHtml(line, stops) {
+    const dates = formatLineDates(line);
+    const stopItems = stops.map(s => `
+        <li><button type="button" class="ml-node-panel-link" data-node-id="${escapeHtml(s.id)}">${wrapArabic(escapeHtml(s.name))}</button></li>`).join('');
+    return `
+    <div class="ml-line-detail">
+        <button type="button" class="ml-line-back" data-action="back">‹ All lines</button>
+        <div class="ml-line-detail-title">
+            <span class="ml-line-swatch" style="background:${escapeHtml(line.colour || '#000000')}"></span>
+            <span>${wrapArabic(escapeHtml(line.name || line.id))}</span>
+        </div>
+        <div class="ml-line-item-meta">${escapeHtml([line.mode, dates].filter(Boolean).join(' · '))}</div>
+        ${stops.length
+            ? `<ol class="ml-line-stops">${stopItems}</ol>`
+            : '<div class="ml-lines-empty">No stops listed</div>'}
+    </div>`;
+}
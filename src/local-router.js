@@ -0,0 +1,63 @@
+// src/local-router.js
+// Page-side handle on the in-browser router (router-worker.js). The worker is only started, and the
+// snapshot only downloaded, on first use.
+
+// createLocalRouter(snapshotUrl, getNodes): getNodes returns [{ id, coordinates }] used for nodes the
+// snapshot has no coordinates for
+export function createLocalRouter(snapshotUrl, getNodes) {
+    let worker = null;
+    let loading = null;
+    let seq = 0;
+    const pending = new Map();
+
+    function call(type, payload) {
+        if (!worker) {
+            worker = new Worker(new URL('./router-worker.js', import.meta.url), { type: 'module' });
+            worker.addEventListener('message', (ev) => {
+                const msg = ev.data || {};
+                const entry = pending.get(msg.id);
+                if (!entry) return;
+                pending.delete(msg.id);
+                if (msg.ok) entry.resolve(msg.result);
+                else entry.reject(new Error(msg.error));
+            });
+            worker.addEventListener('error', (ev) => {
+                pending.forEach(entry => entry.reject(new Error(ev.message || 'Router worker failed')));
+                pending.clear();
+            });
+        }
+        const id = ++seq;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject });
+            worker.postMessage({ id, type, ...payload });
+        });
+    }
+
+    // load resolves with { nodes, edges, years } once the snapshot is indexed; a failed load can be retried
+    function load() {
+        if (!loading) {
+            // resolve against the page: inside the worker relative URLs would point into assets/
+            const url = new URL(snapshotUrl, location.href).href;
+            loading = call('load', { url, nodes: getNodes() }).catch(err => {
+                loading = null;
+                throw err;
+            });
+        }
+        return loading;
+    }
+
+    // route resolves with a /v2/route-shaped FeatureCollection, or null when there is no route
+    async function route(source, target, { year, excludeModes = [], excludeEdges = [] } = {}) {
+        await load();
+        return call('route', { source: String(source), target: String(target), year: Number(year), excludeModes, excludeEdges });
+    }
+
+    function terminate() {
+        if (worker) worker.terminate();
+        worker = null;
+        loading = null;
+        pending.clear();
+    }
+
+    return { load, route, terminate };
+}
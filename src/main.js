@@ -6,6 +6,7 @@ import 'maplibre-gl/dist/maplibre-gl.css';
 
 import './search-control.css';
 import initSearchControl from './search-control.js';
+import { registerServiceWorker, initOfflineBadge } from './offline.js';
 
 maplibregl.setRTLTextPlugin(
   'https://unpkg.com/@mapbox/mapbox-gl-rtl-text@0.2.3/mapbox-gl-rtl-text.min.js',
@@ -59,6 +60,12 @@ function initMap() {
   // Optional: keep a handle for debugging
   window._mlMap = map;
 
+  // Offline mode: the worker only runs in builds, so it never gets in the way of the dev server
+  initOfflineBadge(map.getContainer());
+  if (import.meta.env && import.meta.env.PROD) {
+    registerServiceWorker(import.meta.env.BASE_URL, resolveApiBase());
+  }
+
   map.on('load', async () => {
 
 
@@ -0,0 +1,224 @@
+// src/network-graph.js
+// In-browser routing over a network snapshot, used by router-worker.js when the API is unreachable.
+//
+// Snapshot format (JSON):
+//   {
+//     "nodes": [{ "id": 1, "coordinates": [lng, lat] }, ...]      (or a FeatureCollection of points),
+//     "edges": [{ "source": 1, "target": 2, "mode": 8, "cost": 95, "line": "...", "colour": "#...",
+//                 "from": 1873, "to": null, "oneway": false, "geometry": [[lng, lat], ...] }, ...]
+//                                                                  (or a FeatureCollection of lines)
+//   }
+// mode is an integer code or a name from modeIntToName, cost is in minutes and from / to are the
+// first and last year the edge exists (missing = open-ended). Edges are two-way unless oneway.
+
+import { modeIntToName, modeNameToInt, haversineKm } from './helpers.js';
+
+function toModeInt(mode) {
+    const asInt = Number(mode);
+    if (Number.isInteger(asInt) && modeIntToName[asInt]) return asInt;
+    return modeNameToInt[String(mode || '').toLowerCase()] ?? null;
+}
+
+function toYear(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const year = parseInt(String(value), 10);
+    return Number.isFinite(year) ? year : null;
+}
+
+function snapshotList(value) {
+    if (Array.isArray(value)) return value;
+    if (value && Array.isArray(value.features)) return value.features;
+    return [];
+}
+
+// buildGraph indexes a snapshot. extraNodes ([{ id, coordinates }]) fill in coordinates the snapshot
+// doesn't have, e.g. from the already loaded /v2/nodes gazetteer.
+export function buildGraph(snapshot, extraNodes = []) {
+    const coords = new Map();
+    extraNodes.forEach(n => {
+        if (n && Array.isArray(n.coordinates)) coords.set(String(n.id), n.coordinates);
+    });
+    snapshotList(snapshot && snapshot.nodes).forEach(n => {
+        const p = n.properties || n;
+        const c = n.geometry ? n.geometry.coordinates : n.coordinates;
+        if (p.id !== undefined && Array.isArray(c)) coords.set(String(p.id), c);
+    });
+
+    const edges = [];
+    const adjacency = new Map();
+    const link = (from, edgeIdx, reverse) => {
+        if (!adjacency.has(from)) adjacency.set(from, []);
+        adjacency.get(from).push({ edgeIdx, reverse });
+    };
+
+    let minYear = Infinity;
+    let maxYear = -Infinity;
+    snapshotList(snapshot && snapshot.edges).forEach(e => {
+        const p = e.properties || e;
+        const source = String(p.source ?? p.src ?? '');
+        const target = String(p.target ?? p.tgt ?? '');
+        const mode = toModeInt(p.mode);
+        if (!source || !target || mode === null) return;
+        const edge = {
+            source,
+            target,
+            mode,
+            cost: Math.max(0, Number(p.cost) || 0),
+            line: p.line ?? p.name ?? '',
+            colour: p.colour ?? p.color ?? null,
+            from: toYear(p.from ?? p.opened ?? p.start),
+            to: toYear(p.to ?? p.closed ?? p.end),
+            geometry: e.geometry ? e.geometry.coordinates : (Array.isArray(p.geometry) ? p.geometry : null)
+        };
+        [edge.from, edge.to].forEach(y => {
+            if (y === null) return;
+            minYear = Math.min(minYear, y);
+            maxYear = Math.max(maxYear, y);
+        });
+        const idx = edges.push(edge) - 1;
+        link(source, idx, false);
+        if (!p.oneway) link(target, idx, true);
+    });
+
+    // Fastest straight-line speed over any edge, for an admissible A* heuristic. A zero-cost edge
+    // between distinct places makes it unbounded, in which case the search is plain Dijkstra.
+    let maxKmPerMin = 0;
+    edges.forEach(e => {
+        const a = coords.get(e.source);
+        const b = coords.get(e.target);
+        if (!a || !b) return;
+        const km = haversineKm(a, b);
+        if (km < 0.01) return;
+        maxKmPerMin = e.cost > 0 ? Math.max(maxKmPerMin, km / e.cost) : Infinity;
+    });
+
+    return {
+        coords,
+        edges,
+        adjacency,
+        maxKmPerMin,
+        years: Number.isFinite(minYear) ? [minYear, maxYear] : null
+    };
+}
+
+// Binary min-heap of [priority, value]
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(priority, value) {
+        const items = this.items;
+        items.push([priority, value]);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent][0] <= items[i][0]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let smallest = i;
+                if (l < items.length && items[l][0] < items[smallest][0]) smallest = l;
+                if (r < items.length && items[r][0] < items[smallest][0]) smallest = r;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+function edgeUsable(edge, year, excluded) {
+    if (excluded.has(edge.mode)) return false;
+    if (edge.from !== null && year < edge.from) return false;
+    if (edge.to !== null && year > edge.to) return false;
+    return true;
+}
+
+function segmentFeature(graph, edge, reverse) {
+    const source = reverse ? edge.target : edge.source;
+    const target = reverse ? edge.source : edge.target;
+    let coordinates = edge.geometry ? edge.geometry.slice() : [graph.coords.get(edge.source), graph.coords.get(edge.target)].filter(Boolean);
+    if (reverse) coordinates = coordinates.reverse();
+    return {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates },
+        properties: {
+            source,
+            target,
+            mode: edge.mode,
+            cost: edge.cost,
+            line: edge.line,
+            colour: edge.colour
+        }
+    };
+}
+
+// findRoute returns the cheapest route (by cost) from sourceId to targetId usable in `year`, as a
+// FeatureCollection shaped like a /v2/route response, or null when the nodes aren't connected.
+// excludeModes: integer mode codes to leave out; excludeEdges: [sourceId, targetId] pairs to leave out
+// in either direction.
+export function findRoute(graph, sourceId, targetId, { year, excludeModes = [], excludeEdges = [] } = {}) {
+    const source = String(sourceId);
+    const target = String(targetId);
+    if (source === target) return { type: 'FeatureCollection', features: [] };
+    if (!graph.adjacency.has(source) || !graph.adjacency.has(target)) return null;
+
+    const excluded = new Set(excludeModes.map(Number));
+    const excludedPairs = new Set(excludeEdges.flatMap(([a, b]) => [`${a}|${b}`, `${b}|${a}`]));
+    const targetCoords = graph.coords.get(target);
+    const heuristic = (id) => {
+        if (!targetCoords || !Number.isFinite(graph.maxKmPerMin) || graph.maxKmPerMin <= 0) return 0;
+        const c = graph.coords.get(id);
+        return c ? haversineKm(c, targetCoords) / graph.maxKmPerMin : 0;
+    };
+
+    const best = new Map([[source, 0]]);
+    const via = new Map();
+    const open = new MinHeap();
+    open.push(heuristic(source), [source, 0]);
+
+    while (open.size) {
+        const [, [node, g]] = open.pop();
+        // Stale heap entries are skipped instead of decreased in place
+        if (g > best.get(node)) continue;
+        if (node === target) break;
+        (graph.adjacency.get(node) || []).forEach(({ edgeIdx, reverse }) => {
+            const edge = graph.edges[edgeIdx];
+            if (!edgeUsable(edge, Number(year), excluded)) return;
+            if (excludedPairs.size && excludedPairs.has(`${edge.source}|${edge.target}`)) return;
+            const next = reverse ? edge.source : edge.target;
+            const cost = g + edge.cost;
+            if (best.has(next) && best.get(next) <= cost) return;
+            best.set(next, cost);
+            via.set(next, { edgeIdx, reverse, prev: node });
+            open.push(cost + heuristic(next), [next, cost]);
+        });
+    }
+
+    if (!via.has(target)) return null;
+    const features = [];
+    for (let node = target; node !== source;) {
+        const step = via.get(node);
+        features.push(segmentFeature(graph, graph.edges[step.edgeIdx], step.reverse));
+        node = step.prev;
+    }
+    return { type: 'FeatureCollection', features: features.reverse() };
+}
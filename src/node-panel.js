@@ -0,0 +1,105 @@
+// src/node-panel.js
+// Markup for the node detail panel (names by language, rank, cluster, coordinates, lines).
+// Data gathering and wiring live in search-control.js.
+
+import { escapeHtml, wrapArabic, isoLanguages, isoCodeToName } from './helpers.js';
+
+// groupNamesByLanguage turns [{ name, iso639 }] into [{ code, label, names }] ordered as isoLanguages,
+// with unknown / missing codes collected last under "Other"
+export function groupNamesByLanguage(names) {
+    const groups = new Map();
+    const seen = new Set();
+    (names || []).forEach(n => {
+        if (!n || !n.name) return;
+        const name = String(n.name).trim();
+        const code = n.iso639 ? String(n.iso639).trim() : '';
+        const key = `${code}|${name.toLowerCase()}`;
+        if (!name || seen.has(key)) return;
+        seen.add(key);
+        const groupCode = isoCodeToName[code] ? code : '';
+        if (!groups.has(groupCode)) groups.set(groupCode, []);
+        groups.get(groupCode).push(name);
+    });
+
+    const order = (code) => {
+        const idx = isoLanguages.findIndex(l => l.code === code);
+        return idx === -1 ? 999 : idx;
+    };
+    return Array.from(groups.entries())
+        .sort((a, b) => order(a[0]) - order(b[0]))
+        .map(([code, list]) => ({ code, label: code ? isoCodeToName[code] : 'Other', names: list }));
+}
+
+// formatCoordinates renders a [lng, lat] position as e.g. "41.0100° N, 28.9700° E"
+export function formatCoordinates(coords) {
+    if (!Array.isArray(coords) || coords.length < 2) return '';
+    const [lng, lat] = coords.map(Number);
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) return '';
+    return `${Math.abs(lat).toFixed(4)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(4)}° ${lng >= 0 ? 'E' : 'W'}`;
+}
+
+function nodeLinkHtml(node) {
+    return `<button type="button" class="ml-node-panel-link" data-node-id="${escapeHtml(String(node.id))}">${wrapArabic(escapeHtml(node.name))}</button>`;
+}
+
+function linesHtml(lines) {
+    if (lines === null) return '<div class="ml-node-panel-muted">Loading lines…</div>';
+    if (!lines.length) return '<div class="ml-node-panel-muted">No lines in this year</div>';
+    return lines.map(line => {
+        const colour = String(line.colour || '#000000');
+        return `
+        <div class="ml-node-panel-line">
+            <span class="ml-node-panel-line-swatch" style="background:${escapeHtml(colour)}"></span>
+            ${line.id !== undefined && line.id !== null
+                ? `<button type="button" class="ml-node-panel-link ml-node-panel-line-name" data-line-id="${escapeHtml(String(line.id))}">${wrapArabic(escapeHtml(String(line.name || 'Unknown')))}</button>`
+                : `<span class="ml-node-panel-line-name">${wrapArabic(escapeHtml(String(line.name || 'Unknown')))}</span>`}
+            ${line.mode ? `<span class="ml-node-panel-line-mode">${escapeHtml(String(line.mode))}</span>` : ''}
+        </div>`;
+    }).join('');
+}
+
+// renderNodePanelHtml builds the panel body. model.lines is null while still loading.
+export function renderNodePanelHtml(model) {
+    const nameGroups = (model.nameGroups || []).map(g => `
+        <div class="ml-node-panel-names-group">
+            <div class="ml-node-panel-lang">${escapeHtml(g.label)}</div>
+            <div class="ml-node-panel-lang-names">${g.names.map(n => wrapArabic(escapeHtml(n))).join('<br>')}</div>
+        </div>`).join('');
+
+    let clusterHtml = '';
+    if (model.clusterParent) {
+        clusterHtml = `<div>Part of ${nodeLinkHtml(model.clusterParent)}</div>`;
+    }
+    if (model.clusterMembers && model.clusterMembers.length) {
+        clusterHtml += `<div>Includes ${model.clusterMembers.map(nodeLinkHtml).join(', ')}</div>`;
+    }
+
+    return `
+    <div class="ml-node-panel-header">
+        <div class="ml-node-panel-title">
+            <span>${wrapArabic(escapeHtml(model.name))}</span>
+            ${model.ota ? `<span>${wrapArabic(escapeHtml(model.ota))}</span>` : ''}
+        </div>
+        <button type="button" class="ml-node-panel-close" data-action="close" aria-label="Close">×</button>
+    </div>
+    ${model.rankText ? `<div class="ml-node-panel-rank">${escapeHtml(model.rankText)}</div>` : ''}
+    <div class="ml-node-panel-actions">
+        <button type="button" class="ml-node-panel-btn" data-action="from">Route from here</button>
+        <button type="button" class="ml-node-panel-btn" data-action="to">Route to here</button>
+    </div>
+    ${nameGroups ? `<div class="ml-node-panel-section"><div class="ml-node-panel-label">Names</div>${nameGroups}</div>` : ''}
+    ${clusterHtml ? `<div class="ml-node-panel-section"><div class="ml-node-panel-label">Cluster</div>${clusterHtml}</div>` : ''}
+    ${model.coordinates ? `<div class="ml-node-panel-section"><div class="ml-node-panel-label">Coordinates</div><div>${escapeHtml(model.coordinates)}</div></div>` : ''}
+    <div class="ml-node-panel-section">
+        <div class="ml-node-panel-label">Lines in ${escapeHtml(String(model.year))}</div>
+        ${linesHtml(model.lines)}
+    </div>`;
+}
+
+// renderNodePopupHtml is the short hover / click popup: name, Ottoman-script name and rank
+export function renderNodePopupHtml({ name, ota, rankText }) {
+    return `
+    <div class="ml-node-popup-name">${wrapArabic(escapeHtml(name))}</div>
+    ${ota ? `<div class="ml-node-popup-ota">${wrapArabic(escapeHtml(ota))}</div>` : ''}
+    ${rankText ? `<div class="ml-node-popup-rank">${escapeHtml(rankText)}</div>` : ''}`;
+}
@@ -0,0 +1,61 @@
+// src/offline.js
+// Registers the service worker (public/sw.js) and shows a badge on the map while API data is served
+// from its cache instead of the network.
+
+// registerServiceWorker registers `${base}sw.js`; the worker needs the API base to know which
+// requests to cache per year
+export function registerServiceWorker(base, apiBase) {
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+    const absoluteApi = new URL(apiBase, location.href).href.replace(/\/$/, '');
+    return navigator.serviceWorker
+        .register(`${base}sw.js?api=${encodeURIComponent(absoluteApi)}`, { scope: base })
+        .catch(err => {
+            console.warn('Service worker registration failed:', err);
+            return null;
+        });
+}
+
+function formatCachedAt(iso) {
+    const d = iso ? new Date(iso) : null;
+    if (!d || Number.isNaN(d.getTime())) return '';
+    return d.toLocaleString(undefined, { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// initOfflineBadge adds the badge to `container` and keeps it in sync with the worker's messages
+// ('stale' / 'offline' show it, 'live' hides it) and with the browser's online state
+export function initOfflineBadge(container) {
+    const badge = document.createElement('div');
+    badge.className = 'ml-offline-badge';
+    badge.setAttribute('role', 'status');
+    badge.hidden = true;
+    container.appendChild(badge);
+
+    const show = (text) => {
+        badge.textContent = text;
+        badge.hidden = false;
+    };
+    const hide = () => {
+        badge.hidden = true;
+    };
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (ev) => {
+            const msg = ev.data || {};
+            if (msg.source !== 'ottoman-routing-sw') return;
+            if (msg.type === 'live') {
+                hide();
+            } else if (msg.type === 'stale') {
+                const when = formatCachedAt(msg.cachedAt);
+                show(`Offline · showing saved data${when ? ` from ${when}` : ''}`);
+            } else if (msg.type === 'offline') {
+                show('Offline · this data has not been saved for offline use');
+            }
+        });
+    }
+
+    window.addEventListener('offline', () => show('Offline · showing saved data where available'));
+    window.addEventListener('online', hide);
+    if (navigator.onLine === false) show('Offline · showing saved data where available');
+
+    return badge;
+}
@@ -0,0 +1,120 @@
+// src/print-view.js
+// Print / PDF layout for an itinerary: a static map image followed by the step-by-step flow.
+// The view is a body-level element that only shows under @media print (see search-control.css).
+
+import { escapeHtml, wrapArabic } from './helpers.js';
+
+// captureMapImage returns a PNG data URL of the map canvas. The WebGL drawing buffer is only
+// guaranteed to be intact while a frame is being rendered, so read it from a 'render' callback.
+export function captureMapImage(map) {
+    return new Promise((resolve) => {
+        let done = false;
+        const finish = (url) => {
+            if (done) return;
+            done = true;
+            resolve(url);
+        };
+        const grab = () => {
+            try {
+                finish(map.getCanvas().toDataURL('image/png'));
+            } catch (e) {
+                // Tainted canvas (cross-origin tiles without CORS) or no WebGL context
+                console.warn('Map snapshot failed:', e && e.message ? e.message : e);
+                finish('');
+            }
+        };
+        try {
+            map.once('render', grab);
+            map.triggerRepaint();
+        } catch (e) {
+            grab();
+        }
+        setTimeout(grab, 3000);
+    });
+}
+
+// waitForMapIdle resolves once tiles for the current camera are loaded (or after a timeout)
+export function waitForMapIdle(map, timeoutMs = 8000) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, timeoutMs);
+        try {
+            map.once('idle', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+        } catch (e) {
+            clearTimeout(timer);
+            resolve();
+        }
+    });
+}
+
+function stepHtml(step) {
+    if (step.type === 'leg') {
+        return `
+        <div class="ml-print-leg">
+            <span>${wrapArabic(escapeHtml(step.title))}</span>
+            <span>${escapeHtml(step.duration)}</span>
+        </div>`;
+    }
+
+    if (step.type === 'node') {
+        const alternates = (step.alternates || []).length
+            ? `<div class="ml-print-alternates">${step.alternates.map(n => wrapArabic(escapeHtml(n))).join(' · ')}</div>`
+            : '';
+        return `
+        <div class="ml-print-node">
+            <span class="ml-print-dot" style="background:${escapeHtml(step.dotColor || '#fff')}"></span>
+            <div class="ml-print-node-text">
+                <div class="ml-print-node-name">
+                    <span>${wrapArabic(escapeHtml(step.name))}</span>
+                    ${step.ota ? `<span>${wrapArabic(escapeHtml(step.ota))}</span>` : ''}
+                </div>
+                ${step.rankText ? `<div class="ml-print-rank">${escapeHtml(step.rankText)}</div>` : ''}
+                ${alternates}
+            </div>
+        </div>`;
+    }
+
+    return `
+    <div class="ml-print-seg" style="border-left-color:${escapeHtml(step.color || '#000')}">
+        <span class="material-symbols-outlined ml-print-icon" aria-hidden="true" style="color:${escapeHtml(step.color || '#000')}">${escapeHtml(step.icon)}</span>
+        <span class="ml-print-seg-line">${escapeHtml(step.line)}</span>
+        <span class="ml-print-seg-mode">${escapeHtml(step.mode === 'transfer' ? '' : step.mode)}</span>
+        <span class="ml-print-seg-cost">${escapeHtml(step.duration)}</span>
+    </div>`;
+}
+
+// openPrintView renders { title, subtitle, mapImage, steps } and opens the browser print dialog.
+// steps: { type: 'leg'|'node'|'segment', ... } in itinerary order.
+export function openPrintView(doc) {
+    closePrintView();
+
+    const el = document.createElement('div');
+    el.className = 'ml-print-view';
+    el.innerHTML = `
+    <h1 class="ml-print-title">${wrapArabic(escapeHtml(doc.title))}</h1>
+    <div class="ml-print-subtitle">${escapeHtml(doc.subtitle || '')}</div>
+    ${doc.mapImage ? `<img class="ml-print-map" src="${doc.mapImage}" alt="Route map">` : ''}
+    <div class="ml-print-steps">${(doc.steps || []).map(stepHtml).join('')}</div>`;
+    document.body.appendChild(el);
+
+    window.addEventListener('afterprint', closePrintView, { once: true });
+
+    // Give the image a chance to decode before the print snapshot is taken
+    const img = el.querySelector('img');
+    const print = () => {
+        try { window.print(); } catch (e) { console.warn('Print failed:', e); }
+    };
+    if (img && !img.complete) {
+        img.addEventListener('load', print, { once: true });
+        img.addEventListener('error', print, { once: true });
+    } else {
+        print();
+    }
+    return el;
+}
+
+export function closePrintView() {
+    document.querySelectorAll('.ml-print-view').forEach(el => el.remove());
+}
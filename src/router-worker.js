@@ -0,0 +1,37 @@
+// src/router-worker.js
+// Web Worker running the in-browser router (network-graph.js), so building the graph and searching
+// it never block the map. Messages: { id, type: 'load', url, nodes } and
+// { id, type: 'route', source, target, year, excludeModes, excludeEdges }; replies are { id, ok, result | error }.
+
+import { buildGraph, findRoute } from './network-graph.js';
+
+let graph = null;
+
+async function loadSnapshot(url, nodes) {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`Snapshot fetch failed: ${res.status}`);
+    graph = buildGraph(await res.json(), nodes || []);
+    return { nodes: graph.coords.size, edges: graph.edges.length, years: graph.years };
+}
+
+self.addEventListener('message', async (ev) => {
+    const msg = ev.data || {};
+    try {
+        let result;
+        if (msg.type === 'load') {
+            result = await loadSnapshot(msg.url, msg.nodes);
+        } else if (msg.type === 'route') {
+            if (!graph) throw new Error('No network snapshot loaded');
+            result = findRoute(graph, msg.source, msg.target, {
+                year: msg.year,
+                excludeModes: msg.excludeModes || [],
+                excludeEdges: msg.excludeEdges || []
+            });
+        } else {
+            throw new Error(`Unknown message type: ${msg.type}`);
+        }
+        self.postMessage({ id: msg.id, ok: true, result });
+    } catch (err) {
+        self.postMessage({ id: msg.id, ok: false, error: err && err.message ? err.message : String(err) });
+    }
+});
@@ -5,6 +5,7 @@
 // Now also adds a collapsible sidebar with a correctly positioned toggle button.
 
 import Fuse from 'fuse.js';
+import maplibregl from 'maplibre-gl';
 import {
   escapeHtml,
   modeSymbolMap,
@@ -15,10 +16,27 @@ import {
     resolveApiBase,
     shuffle,
     modeIntToName,
+    modeNameToInt,
     isoCodeToName,
     isoLanguages,
     wrapArabic,
+    summarizeRoute,
+    nonVehicleModes,
+    haversineKm,
+    convexHull,
 } from './helpers.js';
+import { encodeUrlState, decodeUrlState } from './url-state.js';
+import { exportFormats, downloadFile } from './export.js';
+import { openPrintView, captureMapImage, waitForMapIdle } from './print-view.js';
+import { renderNodePanelHtml, renderNodePopupHtml, groupNamesByLanguage, formatCoordinates } from './node-panel.js';
+import { parseLineList, parseLineDetail, renderLineListHtml, renderLineDetailHtml } from './line-browser.js';
+import { buildTimetable, parseDeparture, formatDeparture, formatClock, formatDateTime } from './timetable.js';
+import { routeFare, formatFare } from './fares.js';
+import { createLocalRouter } from './local-router.js';
+import { scriptOf, pickLabel, labelFontExpression } from './label-language.js';
+import { searchKey, nameSearchKeys } from './transliterate.js';
+import { parseCoordinates, nearestNodes, formatDistance, walkingMinutes } from './coordinates.js';
+import { buildGazetteer, renderGazetteerHtml, ancestorsOf, zoomForRank, gazetteerSorts } from './gazetteer.js';
 
 export default async function initSearchControl(map, opts = {}) {
   const apiBase = resolveApiBase(opts);
@@ -64,7 +82,7 @@ export default async function initSearchControl(map, opts = {}) {
   // Function to show/hide clear buttons based on input value
   function updateClearButtonVisibility(role) {
     const st = state[role];
-    const clearBtn = role === 'source' ? sourceClearBtn : targetClearBtn;
+    const clearBtn = st && st.clearBtn;
     if (!clearBtn) return;
 
     const hasValue = st.input.value.trim().length > 0 || selected[role] !== null;
@@ -131,21 +149,106 @@ export default async function initSearchControl(map, opts = {}) {
 
   // Add settings state to the state object (modify the existing state declaration around line 319)
   const selected = { source: null, target: null };
+  // Stops picked from a typed or long-pressed coordinate: role -> { coordinates: [lng, lat], km }
+  const accessLegs = {};
   const state = {
-    source: { input: sourceBox, suggestionsEl: sourceSug, lastResults: [], activeIndex: -1, debounce: null, selectableIndices: [] },
-    target: { input: targetBox, suggestionsEl: targetSug, lastResults: [], activeIndex: -1, debounce: null, selectableIndices: [] },
-    settings:  { year: 1914, allowedModes: {}, showOta: false }
+    source: { input: sourceBox, suggestionsEl: sourceSug, clearBtn: sourceClearBtn, lastResults: [], activeIndex: -1, debounce: null, selectableIndices: [] },
+    target: { input: targetBox, suggestionsEl: targetSug, clearBtn: targetClearBtn, lastResults: [], activeIndex: -1, debounce: null, selectableIndices: [] },
+    settings:  {
+      year: 1914,
+      allowedModes: {},
+      showOta: false,
+      showAlternatives: false,
+      showIsochrone: false,
+      isochroneLimit: 24,
+      isochroneUnit: 'h',
+      isochroneContours: false,
+      showNetwork: false,
+      // Departure as "MM-DDTHH:MM" (the year is settings.year); empty for duration-only routing
+      departure: '',
+      criterion: 'fastest',
+      localRouter: !!opts.localRouter,
+      // Map label languages (ISO 639-3) in fallback order; empty for the default names
+      labelLanguages: [],
+      // How much a place's rank (1-10) counts against the Fuse score in the suggestions, see searchForRole
+      rankBoost: opts.rankBoost ?? 0.15
+    }
+  };
+
+  // Optimisation criteria. The choice is passed to the router; when it doesn't support it, the
+  // candidate routes are re-ranked here by score (lower is better). `exclude` names modes to leave
+  // out of one extra candidate query, so a route without them is among the candidates. Declared
+  // before the gazetteer is awaited, as the settings panel can be opened while it loads.
+  const routeCriteria = {
+    fastest: { label: 'Fastest', score: r => summarizeRoute(r.features).totalMins },
+    'fewest-transfers': { label: 'Fewest transfers', score: r => summarizeRoute(r.features).transfers },
+    'avoid-roads': {
+      label: 'Avoid roads',
+      exclude: ['road', 'chaussee'],
+      score: r => minutesOnModes(r, ['road', 'chaussee'])
+    },
+    'prefer-water': {
+      label: 'Prefer water',
+      exclude: ['railway', 'narrow-gauge railway'],
+      // time spent off the water
+      score: r => summarizeRoute(r.features).totalMins - minutesOnModes(r, ['ship', 'ferry'])
+    },
+    cheapest: { label: 'Cheapest', score: r => routeFare(r.features, state.settings.year).total },
   };
 
+  function minutesOnModes(routeGeo, modes) {
+    return routeGeo.features.reduce((acc, f) => {
+      const p = f.properties || {};
+      return modes.includes(modeIntToName[Number(p.mode)]) ? acc + (Number(p.cost) || 0) : acc;
+    }, 0);
+  }
+
+  // Intermediate stops: ordered role keys ('via1', 'via2', ...). Each via role gets its own
+  // entry in state/selected, so the search/suggestion code can treat it like source/target.
+  const viaRoles = [];
+  let viaCounter = 0;
+
+  // All input roles in itinerary order
+  function getOrderedRoles() {
+    return ['source', ...viaRoles, 'target'];
+  }
+
+  function isViaRole(role) {
+    return viaRoles.includes(role);
+  }
+
   // Cache for node lines data to avoid repeated fetches
   const nodeLinesCache = new Map();
+  // Node names per language for the map labels: id -> { iso639: name }, from the gazetteer and /v2/nodes/:id
+  const labelNames = new Map();
+  // Languages the gazetteer itself has names in; others are fetched per node in view
+  const gazetteerLanguages = new Set();
+  // Node ids whose names were requested for the labels, whether or not that worked; names don't
+  // change with the year, so they are asked for once
+  const labelNameFetch = { busy: false, requested: new Set() };
+  const labelNameFetchMax = 30;
+
+  // Year range covered by the historic network
+  const minYear = 1860;
+  const maxYear = 1918;
+
+  // Year playback ("play" through minYear..maxYear) and the travel-time-by-year chart
+  const yearPlayback = { playing: false, timer: null, speed: 1, animFrame: null };
+  // Cache of route responses by URL (URL includes year and mode filter), used by playback
+  const routeResponseCache = new Map();
+  const routeResponseCacheMax = 300;
+  // Travel time per year for the current itinerary: { key, points: Map(year -> { mins, rail }) }
+  const yearSeries = { key: '', points: new Map() };
 
 
   // Update map labels based on OTA setting
   // New behavior: when showOta is true, only render labels for features that have a usable ota value.
   // Fallback 'name' labels are hidden entirely while showOta is true.
+  // Otherwise, with label languages chosen, each node gets one label (ml_label) in the first of those
+  // languages it has a name in, or its default name, set in the font for its script.
   function updateLabelLayers() {
     const showOta = state.settings.showOta;
+    const useLanguages = !showOta && state.settings.labelLanguages.length > 0;
     const otaFontStack = ['Amiri Regular'];
     const defaultFontStack = ['Noto Sans Regular'];
 
@@ -159,6 +262,12 @@ export default async function initSearchControl(map, opts = {}) {
     // Sizes (interpolated by zoom)
     const defaultSize = ['interpolate', ['linear'], ['zoom'], 6, 10, 12, 14];
     const otaSize = ['interpolate', ['linear'], ['zoom'], 6, 15, 12, 21];
+    const isArabicScript = ['==', ['get', 'ml_label_script'], 'arabic'];
+    const labelSize = ['interpolate', ['linear'], ['zoom'], 6, ['case', isArabicScript, 15, 10], 12, ['case', isArabicScript, 21, 14]];
+    const labelFont = labelFontExpression(defaultFontStack);
+
+    if (useLanguages) applyLabelNames();
+    updateSelectedSource();
 
     // Update global node labels (if layer exists - created by main.js)
     if (map.getLayer('nodes-label')) {
@@ -168,6 +277,11 @@ export default async function initSearchControl(map, opts = {}) {
         map.setLayoutProperty('nodes-label', 'text-font', otaFontStack);
         map.setLayoutProperty('nodes-label', 'text-size', otaSize);
         map.setFilter('nodes-label', hasOtaExpr);
+      } else if (useLanguages) {
+        map.setLayoutProperty('nodes-label', 'text-field', ['get', 'ml_label']);
+        map.setLayoutProperty('nodes-label', 'text-font', labelFont);
+        map.setLayoutProperty('nodes-label', 'text-size', labelSize);
+        map.setFilter('nodes-label', ['has', 'ml_label']);
       } else {
         // Restore to showing name for all features
         map.setLayoutProperty('nodes-label', 'text-field', ['get', 'name']);
@@ -186,6 +300,11 @@ export default async function initSearchControl(map, opts = {}) {
         map.setLayoutProperty('search-selected-label', 'text-font', otaFontStack);
         map.setLayoutProperty('search-selected-label', 'text-size', 18);
         map.setFilter('search-selected-label', hasOtaExpr);
+      } else if (useLanguages) {
+        map.setLayoutProperty('search-selected-label', 'text-field', ['coalesce', ['get', 'ml_label'], ['get', 'shortLabel'], ['get', 'name'], ['get', 'id']]);
+        map.setLayoutProperty('search-selected-label', 'text-font', labelFont);
+        map.setLayoutProperty('search-selected-label', 'text-size', ['case', isArabicScript, 18, 12]);
+        map.setFilter('search-selected-label', null);
       } else {
         // Restore fallback layout for selected labels
         map.setLayoutProperty('search-selected-label', 'text-field', ['coalesce', ['get', 'shortLabel'], ['get', 'name'], ['get', 'id']]);
@@ -196,6 +315,72 @@ export default async function initSearchControl(map, opts = {}) {
     }
   }
 
+  function addLabelNames(nodeId, names) {
+    const id = String(nodeId);
+    const entry = labelNames.get(id) || {};
+    (names || []).forEach(n => {
+      if (n && n.iso639 && n.name && !entry[n.iso639]) entry[n.iso639] = String(n.name);
+    });
+    labelNames.set(id, entry);
+  }
+
+  // Label text and script of a node for the chosen languages
+  function nodeLabel(nodeId, fallbackName) {
+    const picked = pickLabel(labelNames.get(String(nodeId)), state.settings.labelLanguages);
+    const name = picked ? picked.name : String(fallbackName || nodeId);
+    return { name, script: scriptOf(name) };
+  }
+
+  // Give the first feature of every node in the base 'nodes' source its ml_label
+  function applyLabelNames() {
+    const source = map.getSource('nodes');
+    if (!source || !geojson) return;
+    const seen = new Set();
+    source.setData({
+      ...geojson,
+      features: geojson.features.map(f => {
+        const p = f.properties || {};
+        const id = String(p.id);
+        if (seen.has(id)) return f;
+        seen.add(id);
+        const label = nodeLabel(id, p.name || p.ota);
+        return { ...f, properties: { ...p, ml_label: label.name, ml_label_script: label.script } };
+      })
+    });
+  }
+
+  // Names in languages the gazetteer doesn't have come from /v2/nodes/:id, for nodes in view.
+  // Labels only show from zoom 8, so nothing is fetched further out.
+  async function fetchVisibleLabelNames() {
+    const chain = state.settings.labelLanguages;
+    if (state.settings.showOta || !chain.length || chain.every(code => gazetteerLanguages.has(code))) return;
+    if (labelNameFetch.busy || map.getZoom() < 8 || !map.getLayer('nodes-symbol')) return;
+
+    const ids = [];
+    map.queryRenderedFeatures({ layers: ['nodes-symbol'] }).forEach(f => {
+      const id = String(f.properties && f.properties.id);
+      if (!labelNameFetch.requested.has(id) && !nodeLinesCache.has(id) && !ids.includes(id)) ids.push(id);
+    });
+    if (!ids.length) return;
+
+    const batch = ids.slice(0, labelNameFetchMax);
+    const labelOf = id => nodeLabel(id, '').name;
+    const before = new Map(batch.map(id => [id, labelOf(id)]));
+    batch.forEach(id => labelNameFetch.requested.add(id));
+    labelNameFetch.busy = true;
+    try {
+      const queue = batch.slice();
+      const worker = async () => {
+        while (queue.length) await fetchNodeLines(queue.shift());
+      };
+      await Promise.all(Array.from({ length: 4 }, worker));
+    } finally {
+      labelNameFetch.busy = false;
+    }
+    // Re-uploading the nodes source is only worth it when a label changed
+    if (batch.some(id => labelOf(id) !== before.get(id))) updateLabelLayers();
+  }
+
   async function fetchNodeLines(nodeId) {
     if (!nodeId) return { names: [], lines: [] };
 
@@ -217,6 +402,8 @@ export default async function initSearchControl(map, opts = {}) {
 
       const payload = { names, lines };
       nodeLinesCache.set(String(nodeId), payload);
+      addLabelNames(nodeId, names);
+      indexApiNames(nodeId, names);
       return payload;
     } catch (err) {
       console.warn('Failed to fetch lines for node', nodeId, err);
@@ -226,109 +413,6 @@ export default async function initSearchControl(map, opts = {}) {
     }
   }
 
-  // Helper function to render alternate names into the card (will create section if missing)
-  // Updated to handle new names format: [{name, iso639, ...}]
-  function updateAlternatesInCard(cardEl, namesFromApi) {
-    if (!cardEl || !Array.isArray(namesFromApi) || namesFromApi.length === 0) {
-      return;
-    }
-
-    // Find or create alternates container
-    let alternatesSection = cardEl.querySelector('.ml-node-card-alternates');
-
-    if (!alternatesSection) {
-      alternatesSection = document.createElement('div');
-      alternatesSection.className = 'ml-node-card-alternates';
-      alternatesSection.innerHTML = `<div class="ml-node-card-alternates-list"></div>`;
-      // Insert before lines section if present, otherwise append
-      const linesSec = cardEl.querySelector('.ml-node-card-lines');
-      if (linesSec && linesSec.parentNode) linesSec.parentNode.insertBefore(alternatesSection, linesSec);
-      else cardEl.querySelector('.ml-node-card-content').appendChild(alternatesSection);
-    }
-
-    const listEl = alternatesSection.querySelector('.ml-node-card-alternates-list') || document.createElement('div');
-    listEl.className = 'ml-node-card-alternates-list';
-
-    // Get current title to avoid repetition
-    const titleEl = cardEl.querySelector('.ml-node-card-name');
-    const currentTitleRaw = titleEl ? titleEl.textContent : ''; // Note: this might now include OTA text, careful extraction needed if strict dedupe required
-    // Ideally we check against the primary name used for the card title
-
-    // Sort namesFromApi based on isoLanguages order
-    namesFromApi.sort((a, b) => {
-      const idxA = isoLanguages.findIndex(l => l.code === a.iso639);
-      const idxB = isoLanguages.findIndex(l => l.code === b.iso639);
-      // If not found in list, put at end
-      const valA = idxA === -1 ? 999 : idxA;
-      const valB = idxB === -1 ? 999 : idxB;
-      return valA - valB;
-    });
-
-    const items = [];
-    const seen = new Set();
-
-    // Helper to create HTML
-    const createItem = (name, rawIso) => {
-      const isOta = (rawIso === 'ota');
-      let displayText;
-      if (isOta) {
-        displayText = name;
-      } else {
-        const isoName = rawIso ? isoCodeToName[rawIso] : '';
-        displayText = isoName ? `${name} (${isoName})` : name;
-      }
-      return `<div class="ml-node-card-alternate">${wrapArabic(displayText)}</div>`;
-    };
-
-    namesFromApi.forEach((nameObj) => {
-      if (!nameObj) return;
-      const name = nameObj.name ? String(nameObj.name).trim() : '';
-      const rawIso = nameObj.iso639 ? String(nameObj.iso639).trim() : '';
-
-      if (!name) return;
-      const nameLower = name.toLowerCase();
-
-      if (seen.has(nameLower)) return;
-      seen.add(nameLower);
-
-      items.push(createItem(name, rawIso));
-    });
-
-    listEl.innerHTML = items.join('');
-
-    if (!alternatesSection.parentNode) {
-      cardEl.querySelector('.ml-node-card-content').appendChild(alternatesSection);
-    }
-  }
-
-  // Helper function to render lines into a card's lines container
-  function renderNodeLines(linesContainer, lines) {
-    if (!linesContainer) return;
-
-    if (! lines || lines.length === 0) {
-      linesContainer.innerHTML = '<div class="ml-node-card-lines-error">No lines found</div>';
-      return;
-    }
-
-    const listHtml = lines.map(line => {
-      const name = wrapArabic(String(line.name || 'Unknown'));
-      const colour = String(line.colour || '#000000');
-      const mode = escapeHtml(String(line.mode || ''));
-
-      return `
-      <div class="ml-node-card-line">
-      <div class="ml-node-card-line-name" style="color: ${escapeHtml(colour)}">${name}</div>
-      ${mode ? `<div class="ml-node-card-line-mode">${mode}</div>` : ''}
-      </div>
-      `;
-    }).join('');
-
-    linesContainer.innerHTML = `
-    <div class="ml-node-card-lines-label">Lines</div>
-    <div class="ml-node-card-lines-list">${listHtml}</div>
-    `;
-  }
-
   // Settings button handler and population function
   function populateSettingsPanel() {
     if (!settingsPanel) return;
@@ -347,12 +431,13 @@ export default async function initSearchControl(map, opts = {}) {
       const checkbox = document.createElement('input');
       checkbox.type = 'checkbox';
       checkbox.id = id;
-      checkbox.checked = true;
+      // Respect modes already disabled (e.g. restored from a permalink)
+      checkbox.checked = state.settings.allowedModes[mode] !== false;
       checkbox.dataset.mode = mode;
       checkbox.className = 'ml-mode-checkbox';
 
       // Initialize settings state
-      state.settings.allowedModes[mode] = true;
+      state.settings.allowedModes[mode] = checkbox.checked;
 
       checkbox.addEventListener('change', () => {
         state.settings.allowedModes[mode] = checkbox.checked;
@@ -375,26 +460,81 @@ export default async function initSearchControl(map, opts = {}) {
     sliderRow.innerHTML = `
     <label for="mlYearSlider" class="ml-settings-slider-label">Year</label>
     <div class="ml-settings-slider-wrap">
-    <input id="mlYearSlider" type="range" min="1860" max="1918" step="1" value="${state.settings.year}" />
+    <input id="mlYearSlider" type="range" min="${minYear}" max="${maxYear}" step="1" value="${state.settings.year}" />
     <span id="mlYearValue" class="ml-year-value">${state.settings.year}</span>
     </div>
+    <div class="ml-year-playback">
+    <button type="button" id="mlYearPlay" class="ml-year-play" aria-label="Play years" title="Play ${minYear}–${maxYear}">▶</button>
+    <label for="mlYearSpeed" class="ml-year-speed-label">Speed</label>
+    <select id="mlYearSpeed" class="ml-year-speed">
+    <option value="0.5">0.5×</option>
+    <option value="1" selected>1×</option>
+    <option value="2">2×</option>
+    <option value="4">4×</option>
+    </select>
+    </div>
     `;
 
     // Wire up slider
     const slider = sliderRow.querySelector('#mlYearSlider');
     const yearValue = sliderRow.querySelector('#mlYearValue');
     slider.addEventListener('input', () => {
+      // Dragging the slider scrubs: stop any running playback first
+      stopYearPlayback();
       state.settings.year = Number(slider.value);
       yearValue.textContent = String(state.settings.year);
+      updateDepartureInput();
       // Recalculate route
       fetchAndRenderRouteIfReady().catch(console.error);
       nodeLinesCache.clear(); // clear cache since year affects it
     });
 
+    const playBtn = sliderRow.querySelector('#mlYearPlay');
+    const speedSelect = sliderRow.querySelector('#mlYearSpeed');
+    speedSelect.value = String(yearPlayback.speed);
+    playBtn.addEventListener('click', () => {
+      if (yearPlayback.playing) stopYearPlayback();
+      else startYearPlayback();
+    });
+    speedSelect.addEventListener('change', () => {
+      yearPlayback.speed = Number(speedSelect.value) || 1;
+    });
+
     // Append to panel
     settingsPanel.appendChild(grid);
     settingsPanel.appendChild(sliderRow);
 
+    // Departure date/time: turns the itinerary into a timetable. The year part follows the slider.
+    const departRow = document.createElement('div');
+    departRow.className = 'ml-settings-slider-row ml-depart-row';
+    departRow.innerHTML = `
+    <label for="mlDepartTime" class="ml-settings-slider-label">Depart</label>
+    <input type="datetime-local" id="mlDepartTime" class="ml-depart-input" />
+    <button type="button" id="mlDepartClear" class="ml-year-play" aria-label="Clear departure time" title="Clear departure time">×</button>
+    `;
+    const departInput = departRow.querySelector('#mlDepartTime');
+    departInput.addEventListener('change', () => {
+      const date = parseDeparture(departInput.value);
+      if (!date) {
+        state.settings.departure = '';
+      } else {
+        state.settings.departure = departInput.value.slice(5, 16);
+        if (date.getUTCFullYear() !== state.settings.year) {
+          stopYearPlayback();
+          setYear(date.getUTCFullYear());
+        }
+      }
+      updateDepartureInput();
+      fetchAndRenderRouteIfReady().catch(console.error);
+    });
+    departRow.querySelector('#mlDepartClear').addEventListener('click', () => {
+      state.settings.departure = '';
+      updateDepartureInput();
+      fetchAndRenderRouteIfReady().catch(console.error);
+    });
+    settingsPanel.appendChild(departRow);
+    updateDepartureInput();
+
     const otaRow = document.createElement('div');
     otaRow.className = 'ml-settings-slider-row';
 
@@ -410,7 +550,10 @@ export default async function initSearchControl(map, opts = {}) {
 
     otaCheckbox.addEventListener('change', () => {
       state.settings.showOta = otaCheckbox.checked;
+      settingsPanel.querySelectorAll('.ml-label-lang-select').forEach(sel => { sel.disabled = otaCheckbox.checked; });
       updateLabelLayers();
+      fetchVisibleLabelNames().catch(console.error);
+      syncUrlState();
     });
 
     const otaText = document.createElement('span');
@@ -422,6 +565,167 @@ export default async function initSearchControl(map, opts = {}) {
     otaRow.appendChild(otaLabel);
 
     settingsPanel.appendChild(otaRow);
+
+    // Label language with one fallback; Ottoman script labels (above) take precedence
+    const [labelLang, labelFallback] = state.settings.labelLanguages;
+    const langOptions = (current, emptyLabel, prefix) => [
+      `<option value="">${escapeHtml(emptyLabel)}</option>`,
+      ...isoLanguages.map(l => `<option value="${l.code}"${current === l.code ? ' selected' : ''}>${escapeHtml(prefix + l.name)}</option>`)
+    ].join('');
+    const langRow = document.createElement('div');
+    langRow.className = 'ml-settings-slider-row ml-label-lang-row';
+    langRow.innerHTML = `
+    <label for="mlLabelLang" class="ml-settings-slider-label">Labels</label>
+    <select id="mlLabelLang" class="ml-label-lang-select"${state.settings.showOta ? ' disabled' : ''}>
+    ${langOptions(labelLang, 'Default names', '')}
+    </select>
+    <select id="mlLabelLangFallback" class="ml-label-lang-select" aria-label="Fallback label language"${state.settings.showOta ? ' disabled' : ''}>
+    ${langOptions(labelFallback, 'then default', 'then ')}
+    </select>
+    `;
+    const onLabelLangChange = () => {
+      const primary = langRow.querySelector('#mlLabelLang').value;
+      const fallback = langRow.querySelector('#mlLabelLangFallback').value;
+      state.settings.labelLanguages = primary ? [primary, fallback].filter((c, i, all) => c && all.indexOf(c) === i) : [];
+      updateLabelLayers();
+      fetchVisibleLabelNames().catch(console.error);
+      syncUrlState();
+    };
+    langRow.querySelectorAll('select').forEach(sel => sel.addEventListener('change', onLabelLangChange));
+    settingsPanel.appendChild(langRow);
+
+    const boostRow = document.createElement('div');
+    boostRow.className = 'ml-settings-slider-row';
+    boostRow.innerHTML = `
+    <label for="mlRankBoost" class="ml-settings-slider-label">Prefer larger places in search</label>
+    <div class="ml-settings-slider-wrap">
+    <input id="mlRankBoost" type="range" min="0" max="0.5" step="0.05" value="${state.settings.rankBoost}" />
+    </div>
+    `;
+    boostRow.querySelector('#mlRankBoost').addEventListener('input', (e) => {
+      state.settings.rankBoost = Number(e.target.value) || 0;
+    });
+    settingsPanel.appendChild(boostRow);
+
+    const altRow = document.createElement('div');
+    altRow.className = 'ml-settings-slider-row';
+
+    const altLabel = document.createElement('label');
+    altLabel.className = 'ml-settings-item';
+    altLabel.style.paddingTop = '8px';
+
+    const altCheckbox = document.createElement('input');
+    altCheckbox.type = 'checkbox';
+    altCheckbox.id = 'mlAltToggle';
+    altCheckbox.checked = !!state.settings.showAlternatives;
+    altCheckbox.className = 'ml-mode-checkbox';
+
+    altCheckbox.addEventListener('change', () => {
+      state.settings.showAlternatives = altCheckbox.checked;
+      fetchAndRenderRouteIfReady().catch(console.error);
+    });
+
+    const altText = document.createElement('span');
+    altText.className = 'ml-settings-item-label';
+    altText.textContent = 'Show alternative routes';
+
+    altLabel.appendChild(altCheckbox);
+    altLabel.appendChild(altText);
+    altRow.appendChild(altLabel);
+
+    settingsPanel.appendChild(altRow);
+
+    const criterionRow = document.createElement('div');
+    criterionRow.className = 'ml-settings-slider-row ml-criterion-row';
+    criterionRow.innerHTML = `
+    <label for="mlCriterion" class="ml-settings-slider-label">Optimise for</label>
+    <select id="mlCriterion" class="ml-criterion-select">
+    ${Object.entries(routeCriteria).map(([id, c]) => `<option value="${id}"${getCriterion() === id ? ' selected' : ''}>${escapeHtml(c.label)}</option>`).join('')}
+    </select>
+    `;
+    criterionRow.querySelector('#mlCriterion').addEventListener('change', (e) => {
+      state.settings.criterion = e.target.value;
+      fetchAndRenderRouteIfReady().catch(console.error);
+    });
+    settingsPanel.appendChild(criterionRow);
+
+    const netRow = document.createElement('div');
+    netRow.className = 'ml-settings-slider-row';
+    netRow.innerHTML = `
+    <label class="ml-settings-item" style="padding-top: 8px;">
+    <input type="checkbox" id="mlNetworkToggle" class="ml-mode-checkbox" ${state.settings.showNetwork ? 'checked' : ''} />
+    <span class="ml-settings-item-label">Show transport network</span>
+    </label>
+    <div id="mlNetworkStatus" class="ml-network-status"></div>
+    `;
+    netRow.querySelector('#mlNetworkToggle').addEventListener('change', (e) => {
+      state.settings.showNetwork = e.target.checked;
+      scheduleNetworkUpdate();
+      syncUrlState();
+    });
+
+    settingsPanel.appendChild(netRow);
+
+    const localRow = document.createElement('div');
+    localRow.className = 'ml-settings-slider-row';
+    localRow.innerHTML = `
+    <label class="ml-settings-item" style="padding-top: 8px;">
+    <input type="checkbox" id="mlLocalRouterToggle" class="ml-mode-checkbox" ${state.settings.localRouter ? 'checked' : ''} />
+    <span class="ml-settings-item-label">Route in the browser when the API is unreachable</span>
+    </label>
+    <div id="mlLocalRouterStatus" class="ml-network-status"></div>
+    `;
+    localRow.querySelector('#mlLocalRouterToggle').addEventListener('change', (e) => {
+      state.settings.localRouter = e.target.checked;
+      if (state.settings.localRouter) {
+        loadLocalRouter();
+        fetchAndRenderRouteIfReady().catch(console.error);
+      } else {
+        setLocalRouterStatus('');
+      }
+    });
+    settingsPanel.appendChild(localRow);
+
+    // Reachability (isochrone) from the selected start
+    const isoRow = document.createElement('div');
+    isoRow.className = 'ml-settings-slider-row ml-isochrone-row';
+    isoRow.innerHTML = `
+    <label class="ml-settings-item" style="padding-top: 8px;">
+    <input type="checkbox" id="mlIsochroneToggle" class="ml-mode-checkbox" ${state.settings.showIsochrone ? 'checked' : ''} />
+    <span class="ml-settings-item-label">Show places reachable from start</span>
+    </label>
+    <div class="ml-isochrone-controls">
+    <span>within</span>
+    <input type="number" id="mlIsochroneLimit" class="ml-isochrone-limit" min="1" step="1" value="${escapeHtml(String(state.settings.isochroneLimit))}" />
+    <select id="mlIsochroneUnit" class="ml-isochrone-unit">
+    <option value="h"${state.settings.isochroneUnit === 'h' ? ' selected' : ''}>hours</option>
+    <option value="d"${state.settings.isochroneUnit === 'd' ? ' selected' : ''}>days</option>
+    </select>
+    <label class="ml-settings-item">
+    <input type="checkbox" id="mlIsochroneContours" class="ml-mode-checkbox" ${state.settings.isochroneContours ? 'checked' : ''} />
+    <span class="ml-settings-item-label">contours</span>
+    </label>
+    </div>
+    <div id="mlIsochroneStatus" class="ml-isochrone-status"></div>
+    `;
+    isoRow.querySelector('#mlIsochroneToggle').addEventListener('change', (e) => {
+      state.settings.showIsochrone = e.target.checked;
+      scheduleIsochroneUpdate();
+    });
+    isoRow.querySelector('#mlIsochroneLimit').addEventListener('change', (e) => {
+      state.settings.isochroneLimit = Math.max(1, Number(e.target.value) || 1);
+      scheduleIsochroneUpdate();
+    });
+    isoRow.querySelector('#mlIsochroneUnit').addEventListener('change', (e) => {
+      state.settings.isochroneUnit = e.target.value === 'd' ? 'd' : 'h';
+      scheduleIsochroneUpdate();
+    });
+    isoRow.querySelector('#mlIsochroneContours').addEventListener('change', (e) => {
+      state.settings.isochroneContours = e.target.checked;
+      scheduleIsochroneUpdate();
+    });
+
+    settingsPanel.appendChild(isoRow);
   }
 
   // Settings button click handler
@@ -514,11 +818,32 @@ export default async function initSearchControl(map, opts = {}) {
 
   const allFeatures = normalizeFeatures(geojson.features || []);
 
+  allFeatures.forEach(f => {
+    const p = f.properties || {};
+    if (p.iso639 && p.name) {
+      gazetteerLanguages.add(p.iso639);
+      addLabelNames(p.id, [{ name: p.name, iso639: p.iso639 }]);
+    }
+    if (p.ota) addLabelNames(p.id, [{ name: p.ota, iso639: 'ota' }]);
+  });
+  if (allFeatures.some(f => f.properties && f.properties.ota)) gazetteerLanguages.add('ota');
+
   // NOTE: we do NOT add any global node styling here anymore.
   // main.js is responsible for base node styling (nodes / nodes-symbol / nodes-label).
 
+  // Transliteration-aware keys (see transliterate.js): ml_keys / ml_skeletons are the folded Latin
+  // forms and consonant skeletons of a feature's names, ml_sources the name and language of each
+  function setSearchKeys(feat, extraNames = []) {
+    const p = feat.properties;
+    const idx = nameSearchKeys([{ name: p.name, iso639: p.iso639 || null }, { name: p.ota, iso639: 'ota' }, ...extraNames]);
+    p.ml_keys = idx.keys;
+    p.ml_skeletons = idx.skeletons;
+    p.ml_sources = idx.sources;
+  }
+  allFeatures.forEach(f => setSearchKeys(f));
+
   const fuse = new Fuse(allFeatures, {
-    keys: ['properties.name', 'properties.id', 'properties.ota'],
+    keys: ['properties.name', 'properties.id', 'properties.ota', 'properties.ml_keys', 'properties.ml_skeletons'],
     threshold: 0.33,
     distance: 8,
     minMatchCharLength: 2,
@@ -531,6 +856,33 @@ export default async function initSearchControl(map, opts = {}) {
   });
 
   const selectedEmpty = { type: 'FeatureCollection', features: [] };
+  // Dashed legs from typed / long-pressed coordinates to the stops picked near them
+  if (!map.getSource('search-access')) {
+    map.addSource('search-access', { type: 'geojson', data: selectedEmpty });
+    map.addLayer({
+      id: 'search-access-line',
+      type: 'line',
+      source: 'search-access',
+      filter: ['==', ['geometry-type'], 'LineString'],
+      paint: {
+        'line-color': '#555',
+        'line-width': 2,
+        'line-dasharray': [2, 2]
+      }
+    });
+    map.addLayer({
+      id: 'search-access-point',
+      type: 'circle',
+      source: 'search-access',
+      filter: ['==', ['geometry-type'], 'Point'],
+      paint: {
+        'circle-radius': 4,
+        'circle-color': '#fff',
+        'circle-stroke-color': '#555',
+        'circle-stroke-width': 2
+      }
+    });
+  }
   if (!map.getSource('search-selected')) {
     map.addSource('search-selected', { type: 'geojson', data: selectedEmpty });
     map.addLayer({
@@ -582,6 +934,14 @@ export default async function initSearchControl(map, opts = {}) {
 
   let activeRole = null;
 
+  // Route currently shown plus its alternatives (index 0 = primary), see renderCurrentRoutes
+  let currentRoutes = [];
+  const maxAlternatives = opts.maxAlternatives || 3;
+
+  // Permalink bookkeeping (see restoreUrlState / syncUrlState)
+  let restoringUrlState = false;
+  let skipNextRouteFit = false;
+
   // Change cursor when in search state
   function updateMapCursor() {
     const mapCanvas = map.getCanvas();
@@ -598,8 +958,17 @@ export default async function initSearchControl(map, opts = {}) {
     st.activeIndex = -1;
     st.selectableIndices = [];
 
+    const filterBar = createSearchFilterBar(role);
+    if (filterBar) suggestionsEl.appendChild(filterBar);
+
     const results = st.lastResults;
     if (!results || ! results.length) {
+      if (filterBar) {
+        const empty = document.createElement('div');
+        empty.className = 'suggestion-empty';
+        empty.textContent = 'No places match these filters';
+        suggestionsEl.appendChild(empty);
+      }
       suggestionsEl.removeAttribute('aria-activedescendant');
       suggestionsEl.setAttribute('aria-expanded', 'false');
       return;
@@ -622,6 +991,16 @@ export default async function initSearchControl(map, opts = {}) {
       return String(name || '').toLowerCase().trim();
     }
 
+    // Helper: "Language: name" for the name that matched, when it isn't simply the shown name
+    function matchNoteFor(resIndex, shownName) {
+      const r = resIndex >= 0 ? st.lastResults[resIndex] : null;
+      const m = r && r.ml_match;
+      if (!m || !m.name) return '';
+      const lang = m.iso639 ? (isoCodeToName[m.iso639] || m.iso639) : '';
+      if (normalizeName(m.name) === normalizeName(shownName)) return lang;
+      return lang ? `${lang}: ${m.name}` : m.name;
+    }
+
     // Helper: determine best display name, respecting OTA match if present
     function getDisplayName(resIndex, props) {
       let name = String(props.name || '').trim();
@@ -638,6 +1017,15 @@ export default async function initSearchControl(map, opts = {}) {
       return name;
     }
 
+    // Nearest nodes to a coordinate keep their distance order, without cluster grouping
+    const nearPoint = results[0].ml_point || null;
+    if (nearPoint) {
+      const nearRow = document.createElement('div');
+      nearRow.className = 'suggestion-header';
+      nearRow.innerHTML = `Nearest to <strong>${escapeHtml(formatCoordinates(nearPoint))}</strong>`;
+      suggestionsEl.appendChild(nearRow);
+    }
+
     // Build a map of all results by their node ID for quick lookup
     const resultsByNodeId = new Map();
     results.forEach((r, resIndex) => {
@@ -698,6 +1086,11 @@ export default async function initSearchControl(map, opts = {}) {
       if (processedNodeIds.has(nodeId)) return;
       processedNodeIds.add(nodeId);
 
+      if (nearPoint) {
+        standalone.push({ resIndex, item });
+        return;
+      }
+
       if (clusterId === null || clusterId === undefined) {
         // This node has no cluster - check if it's a cluster header
         if (clusterTargets.has(nodeId)) {
@@ -756,9 +1149,10 @@ export default async function initSearchControl(map, opts = {}) {
         }
       });
 
-      // Find additional members from allFeatures
+      // Find additional members from allFeatures (the filter chips apply to them too)
       allFeatures.forEach(f => {
         const props = f.properties || {};
+        if (!passesSearchFilters(f)) return;
         if (props.cluster !== null && props.cluster !== undefined && String(props.cluster) === clusterId) {
           const fId = String(props.id);
           if (!existingMemberIds.has(fId)) {
@@ -821,7 +1215,9 @@ export default async function initSearchControl(map, opts = {}) {
       row.setAttribute('role', 'option');
       row.setAttribute('aria-selected', 'false');
 
-      row.innerHTML = `<span class="suggestion-member-text">${escapeHtml(displayText)}</span>`;
+      const matchNote = matchNoteFor(resIndex, name);
+      row.innerHTML = `<span class="suggestion-member-text">${escapeHtml(displayText)}</span>`
+      + (matchNote ? ` <span class="suggestion-match">${escapeHtml(matchNote)}</span>` : '');
       row.addEventListener('click', () => selectForRole(role, selectableIndex));
 
       st.selectableIndices.push(selectableIndex);
@@ -845,10 +1241,17 @@ export default async function initSearchControl(map, opts = {}) {
       row.setAttribute('role', 'option');
       row.setAttribute('aria-selected', 'false');
 
+      const distance = resIndex >= 0 ? formatDistance(st.lastResults[resIndex].ml_distance_km) : '';
+      const rankLine = [rankLabel, distance].filter(Boolean).join(' · ');
+
       let html = `<div class="suggestion-standalone-content">`;
       html += `<div class="suggestion-standalone-name">${escapeHtml(displayName)}</div>`;
-      if (rankLabel) {
-        html += `<div class="suggestion-standalone-rank">${escapeHtml(rankLabel)}</div>`;
+      if (rankLine) {
+        html += `<div class="suggestion-standalone-rank">${escapeHtml(rankLine)}</div>`;
+      }
+      const matchNote = matchNoteFor(resIndex, displayName);
+      if (matchNote) {
+        html += `<div class="suggestion-match">${escapeHtml(matchNote)}</div>`;
       }
       html += `</div>`;
 
@@ -952,61 +1355,204 @@ export default async function initSearchControl(map, opts = {}) {
     }
   }
 
+  // Alternate names from /v2/nodes/:id join the search keys of the node's main feature
+  function indexApiNames(nodeId, names) {
+    const feat = getNodeOriginalFeature(nodeId);
+    if (!feat || !names.length) return;
+    const before = feat.properties.ml_keys.length;
+    setSearchKeys(feat, names);
+    if (feat.properties.ml_keys.length === before) return;
+    fuse.remove(doc => doc === feat);
+    fuse.add(feat);
+  }
+
+  // The name (and its language) through which a search result matched, shown in the suggestions
+  function matchedName(result, key) {
+    const props = result.item.properties || {};
+    const matches = result.matches || [];
+    const viaKeys = matches.find(m => m.key === 'properties.ml_keys' && m.value === key.latin)
+    || matches.find(m => m.key === 'properties.ml_keys')
+    || matches.find(m => m.key === 'properties.ml_skeletons');
+    if (viaKeys) return (props.ml_sources || [])[viaKeys.refIndex] || null;
+    if (matches.some(m => m.key === 'properties.ota')) return { name: props.ota, iso639: 'ota' };
+    if (matches.some(m => m.key === 'properties.name')) return { name: props.name, iso639: props.iso639 || null };
+    return null;
+  }
+
   function searchForRole(role, q) {
     const st = state[role];
     if (!q) {
       st.suggestionsEl.innerHTML = '';
       st.lastResults = [];
+      st.allResults = [];
       st.activeIndex = -1;
       st.suggestionsEl.removeAttribute('aria-activedescendant');
       st.suggestionsEl.setAttribute('aria-expanded', 'false');
       return;
     }
-    const raw = fuse.search(q);
+    // A coordinate lists the nearest nodes instead, the nearest few of each rank so the chips can
+    // narrow them down to e.g. stations or docks
+    const point = parseCoordinates(q);
+    if (point) {
+      st.allResults = nearestNodes(allFeatures, point, { limit: maxSuggestions, groupBy: f => Number(f.properties.rank) })
+      .map(n => ({ item: n.feature, score: 0, ml_point: point, ml_distance_km: n.km }));
+      applySearchFilters(role);
+      return;
+    }
+    // Besides the raw names, match the query's folded / transliterated form and, when it has a few
+    // consonants, its skeleton, so Selanik, Salonica, Thessaloniki and سلانیك meet
+    const key = searchKey(q);
+    const raw = fuse.search({ $or: [
+      { 'properties.name': q },
+      { 'properties.id': q },
+      { 'properties.ota': q },
+      ...(key.latin.length >= 2 ? [{ 'properties.ml_keys': key.latin }] : []),
+      ...(key.skeleton.length >= 3 ? [{ 'properties.ml_skeletons': key.skeleton }] : [])
+    ] });
+    raw.forEach(r => {
+      r.ml_match = matchedName(r, key);
+      // Fuse scores run from 0 (exact) to 1; higher ranked places get a head start
+      r.ml_score = (r.score || 0) - state.settings.rankBoost * rankWeight(r.item.properties);
+    });
     raw.sort((a, b) => {
-      const sc = (a.score || 0) - (b.score || 0);
+      const sc = a.ml_score - b.ml_score;
       if (sc !== 0) return sc;
-      const ra = (a.item.properties.rank ?? 9999);
-      const rb = (b.item.properties.rank ?? 9999);
-      return ra - rb;
+      return rankWeight(b.item.properties) - rankWeight(a.item.properties);
     });
-    st.lastResults = raw;
+    // allResults keeps the unfiltered list for the filter chips
+    st.allResults = raw;
+    applySearchFilters(role);
+  }
+
+  // ---- Suggestion filters ----
+  // Rank chips and "In view" narrow the suggestions of every stop input until they're switched off
+
+  const searchFilters = { ranks: new Set(), inView: false };
+
+  // Head start by rankLabelMap rank, 0..1. Administrative centres go by their level; stations,
+  // docks and stops (2-4) are where routes start and end, so they come before villages (köy, 5).
+  // Unranked places get 0.
+  const rankWeights = {
+    10: 1, // pay-ı taht
+    9: 0.9, // vilâyet merkezi
+    8: 0.8, // sancak merkezi
+    7: 0.7, // kazâ merkezi
+    6: 0.6, // nâhiye merkezi
+    4: 0.5, // station
+    3: 0.45, // dock
+    2: 0.4, // stop
+    5: 0.3 // köy
+  };
+
+  function rankWeight(props) {
+    return rankWeights[Number(props && props.rank)] || 0;
+  }
+
+  function passesSearchFilters(feat) {
+    const props = feat.properties || {};
+    if (searchFilters.ranks.size && !searchFilters.ranks.has(Number(props.rank))) return false;
+    if (searchFilters.inView) {
+      const c = feat.geometry && feat.geometry.coordinates;
+      if (!Array.isArray(c) || !map.getBounds().contains(c)) return false;
+    }
+    return true;
+  }
+
+  function applySearchFilters(role) {
+    const st = state[role];
+    st.lastResults = (st.allResults || []).filter(r => passesSearchFilters(r.item));
     renderSuggestionsForRole(role);
   }
 
-  function setSelectedFeature(role, feat) {
+  // Chip bar for the ranks among the unfiltered results (plus any active ones), or null
+  function createSearchFilterBar(role) {
+    const st = state[role];
+    if (!st.allResults || !st.allResults.length) return null;
+
+    const counts = new Map();
+    st.allResults.forEach(r => {
+      const rank = Number(r.item.properties.rank);
+      if (rankLabelMap.hasOwnProperty(rank)) counts.set(rank, (counts.get(rank) || 0) + 1);
+    });
+    searchFilters.ranks.forEach(rank => {
+      if (!counts.has(rank)) counts.set(rank, 0);
+    });
+
+    const bar = document.createElement('div');
+    bar.className = 'suggestion-filters';
+    const addChip = (label, active, toggle) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'suggestion-chip' + (active ? ' active' : '');
+      chip.setAttribute('aria-pressed', active ? 'true' : 'false');
+      chip.textContent = label;
+      // Keep the focus (and the suggestion list) in the input
+      chip.addEventListener('mousedown', (ev) => ev.preventDefault());
+      // The list is re-rendered, so the click mustn't reach the outside-click handler below
+      chip.addEventListener('click', (ev) => {
+        ev.stopPropagation();
+        toggle();
+        applySearchFilters(role);
+      });
+      bar.appendChild(chip);
+    };
+
+    addChip('In view', searchFilters.inView, () => {
+      searchFilters.inView = !searchFilters.inView;
+    });
+    Array.from(counts.keys()).sort((a, b) => b - a).forEach(rank => {
+      addChip(`${rankLabelMap[rank]} (${counts.get(rank)})`, searchFilters.ranks.has(rank), () => {
+        if (searchFilters.ranks.has(rank)) searchFilters.ranks.delete(rank);
+        else searchFilters.ranks.add(rank);
+      });
+    });
+    return bar;
+  }
+
+  // access: { coordinates, km } when the stop was picked as the nearest node to a coordinate
+  function setSelectedFeature(role, feat, access = null) {
     if (!feat) selected[role] = null;
     else selected[role] = feat;
+    accessLegs[role] = feat && access ? access : null;
 
     const inp = state[role].input;
     if (selected[role]) inp.value = selected[role].properties.name || selected[role].properties.ota || selected[role].properties.id || '';
     else inp.value = '';
 
+    updateSelectedSource();
+    updateClearButtonVisibility(role);
+  }
+
+  // ml_label / ml_label_script for a selected stop when label languages are chosen
+  function labelProps(sel) {
+    if (!state.settings.labelLanguages.length) return {};
+    const label = nodeLabel(sel.properties.id, sel.properties.name || sel.properties.ota);
+    return { ml_label: label.name, ml_label_script: label.script };
+  }
+
+  // Rebuild the 'search-selected' source from every selected stop
+  function updateSelectedSource() {
     const feats = [];
-    if (selected.source) feats.push({
-      type: 'Feature',
-      geometry: selected.source.geometry,
-      properties: {
-        role: 'source',
-        id: selected.source.properties.id,
-        // keep both name and ota on the feature so the 'search-selected' label layer can filter / display correctly
-        name: selected.source.properties.name || selected.source.properties.ota,
-        ota: selected.source.properties.ota ?? null,
-        shortLabel: selected.source.properties.shortLabel
-      }
-    });
-    if (selected.target) feats.push({
-      type: 'Feature',
-      geometry: selected.target.geometry,
-      properties: {
-        role: 'target',
-        id: selected.target.properties.id,
-        name: selected.target.properties.name || selected.target.properties.ota,
-        ota: selected.target.properties.ota ?? null,
-        shortLabel: selected.target.properties.shortLabel
-      }
+    getOrderedRoles().forEach(r => {
+      const sel = selected[r];
+      if (!sel) return;
+      feats.push({
+        type: 'Feature',
+        geometry: sel.geometry,
+        properties: {
+          // intermediate stops share the 'via' role so they get the default (gray) styling
+          role: isViaRole(r) ? 'via' : r,
+          id: sel.properties.id,
+          // keep both name and ota on the feature so the 'search-selected' label layer can filter / display correctly
+          name: sel.properties.name || sel.properties.ota,
+          ota: sel.properties.ota ?? null,
+          shortLabel: sel.properties.shortLabel,
+          ...labelProps(sel)
+        }
+      });
     });
     const fc = { type: 'FeatureCollection', features: feats };
+    updateAccessSource();
     try {
       map.getSource('search-selected').setData(fc);
     } catch (e) {
@@ -1016,7 +1562,22 @@ export default async function initSearchControl(map, opts = {}) {
       } catch (e2) {}
       map.addSource('search-selected', { type: 'geojson', data: fc });
     }
-    updateClearButtonVisibility(role);
+  }
+
+  function updateAccessSource() {
+    const feats = [];
+    getOrderedRoles().forEach(r => {
+      const leg = accessLegs[r];
+      if (!leg || !selected[r]) return;
+      feats.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [leg.coordinates, selected[r].geometry.coordinates] },
+        properties: { role: r }
+      });
+      feats.push({ type: 'Feature', geometry: { type: 'Point', coordinates: leg.coordinates }, properties: { role: r } });
+    });
+    const source = map.getSource('search-access');
+    if (source) source.setData({ type: 'FeatureCollection', features: feats });
   }
 
   // === Sidebar / route rendering (updated for v2 API) ===
@@ -1122,6 +1683,125 @@ export default async function initSearchControl(map, opts = {}) {
     return alternates;
   }
 
+  // Download the given route in one of the exportFormats (see export.js)
+  function exportRoute(routeGeo, formatId) {
+    const fmt = exportFormats.find(f => f.id === formatId);
+    if (!fmt || !routeGeo) return;
+    const stopNames = getRouteStops().map(f => getPreferredNodeName(f.properties.id));
+    const title = `${stopNames.join(' – ')} (${state.settings.year})`;
+    const slug = stopNames
+    .map(n => String(n).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase())
+    .filter(Boolean)
+    .join('_') || 'route';
+    try {
+      const content = fmt.build(routeGeo, getPreferredNodeName, title);
+      downloadFile(`${slug}-${state.settings.year}.${fmt.ext}`, content, fmt.mime);
+    } catch (err) {
+      console.error('Route export failed:', err && err.message ? err.message : err);
+    }
+  }
+
+  // Open the print layout: a map snapshot fitted to the route, then the itinerary steps
+  async function printRoute(routeGeo) {
+    if (!routeGeo || !routeGeo.features.length) return;
+
+    const features = routeGeo.features;
+    const legDefs = Array.isArray(routeGeo.ml_legs) ? routeGeo.ml_legs : [];
+    const stopIds = legDefs.slice(0, -1).map(l => String(l.targetId));
+
+    const nodeStep = async (nodeId) => {
+      const props = (getNodeOriginalFeature(nodeId) || {}).properties || {};
+      const name = getPreferredNodeName(nodeId);
+      const { names } = await fetchNodeLines(nodeId);
+      const alternates = [];
+      const seen = new Set([String(name).toLowerCase(), String(props.ota || '').toLowerCase()]);
+      const addName = (n, iso) => {
+        const key = String(n || '').trim().toLowerCase();
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+        const isoName = iso && iso !== 'ota' ? isoCodeToName[iso] : '';
+        alternates.push(isoName ? `${n} (${isoName})` : String(n));
+      };
+      getNodeAlternateNames(nodeId, name).forEach(n => addName(n));
+      (names || []).forEach(n => n && addName(n.name, n.iso639));
+      const rank = getNodeRank(nodeId);
+      return {
+        type: 'node',
+        name,
+        ota: props.ota || '',
+        rankText: rankLabelMap[rank] || '',
+        alternates,
+        dotColor: stopIds.includes(String(nodeId)) ? '#888888' : '#ffffff'
+      };
+    };
+
+    const steps = [];
+    for (let i = 0; i < features.length; i++) {
+      const p = features[i].properties || {};
+      const leg = Number(p.ml_leg) || 0;
+      const prevLeg = i > 0 ? Number(features[i - 1].properties.ml_leg) || 0 : -1;
+      if (legDefs.length > 1 && leg !== prevLeg) {
+        const legDef = legDefs[leg] || {};
+        const legMins = features.filter(f => (Number(f.properties.ml_leg) || 0) === leg)
+        .reduce((acc, f) => acc + (Number(f.properties.cost) || 0), 0);
+        steps.push({
+          type: 'leg',
+          title: `Leg ${leg + 1}: ${getPreferredNodeName(legDef.sourceId)} 🢒 ${getPreferredNodeName(legDef.targetId)}`,
+          duration: String(await formatCostMinutes(legMins))
+        });
+      }
+      if (i === 0) steps.push(await nodeStep(p.source ?? p.src));
+
+      // Same-node switches are not shown, as in the sidebar
+      const mode = modeIntToName[Number(p.mode)] || '';
+      if (mode === 'switch' && String(p.source) === String(p.target)) continue;
+      steps.push({
+        type: 'segment',
+        mode,
+        icon: modeSymbolMap[mode] || 'directions_walk',
+        line: String(p.line ?? p.name ?? ''),
+        color: p.ml_sidebar_color || '#000000',
+        duration: String(await formatCostMinutes(p.cost))
+      });
+      steps.push(await nodeStep(p.target ?? p.tgt));
+    }
+
+    // Start green and destination red, as in the sidebar
+    const nodeSteps = steps.filter(st => st.type === 'node');
+    nodeSteps[0].dotColor = '#2e7d32';
+    nodeSteps[nodeSteps.length - 1].dotColor = '#d32f2f';
+
+    // Fit the route without the sidebar offset, snapshot, then put the camera back
+    const camera = { center: map.getCenter(), zoom: map.getZoom(), bearing: map.getBearing(), pitch: map.getPitch() };
+    fitBoundsForGeoJSON(routeGeo, { padding: { top: 40, right: 40, bottom: 40, left: 40 }, duration: 0 });
+    await waitForMapIdle(map);
+    const mapImage = await captureMapImage(map);
+    try { map.jumpTo(camera); } catch (e) {}
+
+    const stopNames = getRouteStops().map(f => getPreferredNodeName(f.properties.id));
+    const totalMins = summarizeRoute(features).totalMins;
+    openPrintView({
+      title: stopNames.join(' – '),
+      subtitle: `${state.settings.year} · ${await formatCostMinutes(totalMins)} · ${formatFare(routeFare(features, state.settings.year).total)}`,
+      mapImage,
+      steps
+    });
+  }
+
+  // Routing failed: say so in the sidebar instead of leaving it empty
+  function showRouteError(err) {
+    if (!sidebar) return;
+    // fetch() rejects with a TypeError when the server can't be reached at all
+    const unreachable = err instanceof TypeError;
+    let text = unreachable
+    ? 'The routing service could not be reached.'
+    : `No route could be found${err && err.message ? ` (${err.message})` : ''}.`;
+    if (unreachable && !state.settings.localRouter) {
+      text += ' Turn on "Route in the browser when the API is unreachable" in the settings to route offline.';
+    }
+    sidebar.innerHTML = `<div class="ml-route-warning" role="alert">${escapeHtml(text)}</div>`;
+  }
+
   async function updateSidebarForRoute(routeGeo) {
     if (!sidebar) return;
     if (!routeGeo || !Array.isArray(routeGeo.features) || routeGeo.features.length === 0) {
@@ -1142,7 +1822,8 @@ export default async function initSearchControl(map, opts = {}) {
                                        modeInt: Number(p.mode),
                                        mode: modeIntToName[Number(p.mode)] ?? '',
                                        cost: p.cost ?? 0,
-                                       color: p.ml_sidebar_color || '#000000'
+                                       color: p.ml_sidebar_color || '#000000',
+                                       leg: Number(p.ml_leg) || 0
       };
     });
 
@@ -1169,13 +1850,110 @@ export default async function initSearchControl(map, opts = {}) {
     const totalHuman = await formatCostMinutes(totalMins);
     const humanizedCosts = await Promise.all(segs.map(s => formatCostMinutes(s.cost)));
 
+    // Per-leg subtotals for multi-stop itineraries
+    const legDefs = Array.isArray(routeGeo.ml_legs) ? routeGeo.ml_legs : [];
+    const isMultiLeg = legDefs.length > 1;
+    const legTotals = legDefs.map((_, legIdx) =>
+    segs.filter(s => s.leg === legIdx).reduce((acc, s) => acc + (Number(s.cost) || 0), 0)
+    );
+    const legTotalsHuman = await Promise.all(legTotals.map(m => formatCostMinutes(m)));
+    const fares = routeFare(routeGeo.features, state.settings.year);
+
+    // With a departure time the flow becomes a timetable: clock times, waits and overnight stays
+    const departure = getDepartureDate();
+    const timetable = departure ? buildTimetable(routeGeo.features, departure) : null;
+    const waitsHuman = timetable
+    ? await Promise.all(timetable.map(t => (t.waitMins ? formatCostMinutes(t.waitMins) : '')))
+    : [];
+    const clockAt = (date) => formatClock(date, departure);
+
     try { container.classList.add('ml-search-fixed'); } catch (e) {}
 
+    const summaryStops = isMultiLeg
+    ? [legDefs[0].sourceId, ...legDefs.map(l => l.targetId)].map(id => wrapArabic(getPreferredNodeName(id)))
+    : [wrapArabic(firstSource), wrapArabic(lastTarget)];
+
+    let summaryTimesHtml = '';
+    let summaryDuration = totalHuman;
+    if (timetable && timetable.length) {
+      const arrival = timetable[timetable.length - 1].arrival;
+      summaryDuration = await formatCostMinutes(Math.round((arrival - departure) / 60000));
+      summaryTimesHtml = `
+      <div class="ml-summary-times">Depart ${escapeHtml(formatDateTime(departure))}<br>Arrive ${escapeHtml(formatDateTime(arrival))}</div>`;
+    }
+
+    // Which criterion picked this route (not shown for a promoted alternative)
+    let summaryCriterionHtml = '';
+    const ranking = routeGeo.ml_ranking;
+    if (ranking && routeCriteria[ranking.criterion]) {
+      summaryCriterionHtml = `
+      <div class="ml-summary-criterion"${ranking.local ? ' title="The router does not support this criterion; the route was chosen among the candidates in the browser"' : ''}>
+      ${escapeHtml(routeCriteria[ranking.criterion].label)}${ranking.local ? ' (estimated)' : ''}
+      </div>`;
+    }
+
+    // Walking / road legs between typed or long-pressed coordinates and the stops picked near them;
+    // they aren't part of the route, so their time is given separately
+    const accessLines = await Promise.all(getOrderedRoles().filter(r => accessLegs[r] && selected[r]).map(async r => {
+      const leg = accessLegs[r];
+      const point = escapeHtml(formatCoordinates(leg.coordinates));
+      const node = wrapArabic(escapeHtml(getPreferredNodeName(selected[r].properties.id)));
+      const between = r === 'source' ? `from ${point} to ${node}`
+      : r === 'target' ? `from ${node} to ${point}`
+      : `between ${node} and ${point}`;
+      const mins = walkingMinutes(leg.km);
+      const human = mins > 0 ? await formatCostMinutes(mins) : '';
+      return `<div class="ml-summary-access">${escapeHtml(formatDistance(leg.km))} on foot or by road ${between}${human ? ` (about ${escapeHtml(String(human))})` : ''}</div>`;
+    }));
+
     const summaryHtml = `
     <div class="ml-summary">
-    <div class="ml-summary-left">${wrapArabic(firstSource)} 🢒 ${wrapArabic(lastTarget)}</div>
-    <div class="ml-summary-right">${escapeHtml(String(totalHuman))}</div>
-    </div>`;
+    <div class="ml-summary-left">${summaryStops.join(' 🢒 ')}</div>
+    <div class="ml-summary-right">${escapeHtml(String(summaryDuration))} · ${escapeHtml(formatFare(fares.total))}</div>
+    </div>${summaryCriterionHtml}${summaryTimesHtml}${accessLines.join('')}`;
+
+    // The API may ignore the mode filter; flag any returned segment using a disabled mode
+    const disabledModesUsed = [];
+    segs.forEach(s => {
+      if (s.mode && state.settings.allowedModes[s.mode] === false && !disabledModesUsed.includes(s.mode)) {
+        disabledModesUsed.push(s.mode);
+      }
+    });
+    let warningHtml = '';
+    if (routeGeo.ml_local) {
+      warningHtml += `
+      <div class="ml-route-note" role="status">
+      The routing service could not be reached: this route was computed in the browser from the network snapshot.
+      </div>`;
+    }
+    if (disabledModesUsed.length) {
+      console.warn('Route uses disabled modes:', disabledModesUsed);
+      warningHtml += `
+      <div class="ml-route-warning" role="alert">
+      This route uses disabled modes: ${escapeHtml(disabledModesUsed.join(', '))}
+      </div>`;
+    }
+
+    // Alternatives list: the shown route first, click another one to promote it
+    let alternativesHtml = '';
+    if (currentRoutes.length > 1 && currentRoutes[0] === routeGeo) {
+      const altItems = await Promise.all(currentRoutes.map(async (r, altIdx) => {
+        const info = summarizeRoute(r.features);
+        const duration = await formatCostMinutes(info.totalMins);
+        const transfersText = info.transfers === 1 ? '1 transfer' : `${info.transfers} transfers`;
+        const fareText = formatFare(routeFare(r.features, state.settings.year).total);
+        const title = altIdx === 0 ? 'Selected route' : `Alternative ${altIdx}${r.ml_alt_note ? ` (${r.ml_alt_note})` : ''}`;
+        return `
+        <div class="ml-alt-item${altIdx === 0 ? ' ml-alt-item-primary' : ''}" data-alt="${altIdx}" ${altIdx === 0 ? '' : 'role="button" tabindex="0"'}>
+        <span class="ml-alt-swatch"></span>
+        <div class="ml-alt-text">
+        <div class="ml-alt-main"><span>${escapeHtml(title)}</span><span>${escapeHtml(String(duration))}</span></div>
+        <div class="ml-alt-meta">${escapeHtml(transfersText)} · ${escapeHtml(fareText)} · ${escapeHtml(info.modes.join(', '))}</div>
+        </div>
+        </div>`;
+      }));
+      alternativesHtml = `<div class="ml-alternatives">${altItems.join('')}</div>`;
+    }
 
     const steps = [];
     const isSwitchSeg = seg =>
@@ -1218,13 +1996,40 @@ export default async function initSearchControl(map, opts = {}) {
       const seg = segs[i];
       const prevSeg = segs[i - 1];
 
+      // Leg header (multi-stop itineraries only) at the start of each leg
+      if (isMultiLeg && (i === 0 || seg.leg !== prevSeg.leg)) {
+        const legDef = legDefs[seg.leg] || {};
+        // The node closing the previous leg is an intermediate stop
+        if (i > 0 && rows.length && rows[rows.length - 1].type === 'node') rows[rows.length - 1].isStop = true;
+        rows.push({
+          type: 'leg',
+          leg: seg.leg,
+          source: getPreferredNodeName(legDef.sourceId),
+          target: getPreferredNodeName(legDef.targetId),
+          costHuman: legTotalsHuman[seg.leg] || '',
+          fare: formatFare(fares.legs[seg.leg])
+        });
+      }
+
       // For the first segment, start with its source
       if (i === 0) {
         rows.push({
           type: 'node',
           label: seg.source,
           nodeId: seg.sourceId,
-          rank: seg.sourceRank
+          rank: seg.sourceRank,
+          time: timetable ? `dep ${clockAt(departure)}` : ''
+        });
+      }
+
+      // Waiting for a scheduled departure before this segment
+      if (timetable && timetable[i].waitMins > 0) {
+        rows.push({
+          type: 'wait',
+          place: seg.source,
+          overnight: timetable[i].overnight,
+          waitHuman: waitsHuman[i],
+          departs: clockAt(timetable[i].departure)
         });
       }
 
@@ -1240,97 +2045,88 @@ export default async function initSearchControl(map, opts = {}) {
           mode: seg.mode,
           color: seg.color,
           costHuman: humanizedCosts[i],
-          rank: seg.rank
+          rank: seg.rank,
+          disabled: disabledModesUsed.includes(seg.mode),
+          // fare of the ride starting here
+          fare: fares.segments[i] ? formatFare(fares.segments[i]) : '',
+          times: timetable ? `${clockAt(timetable[i].departure)} → ${clockAt(timetable[i].arrival)}` : ''
         });
         // Only add node if it's the target (and not immediately after a switch)
         rows.push({
           type: 'node',
           label: seg.target,
           nodeId: seg.targetId,
-          rank: seg.targetRank
+          rank: seg.targetRank,
+          time: timetable ? `arr ${clockAt(timetable[i].arrival)}` : ''
         });
       }
       // else: skip switches (do NOT add segment, do NOT add node—the target will appear in next group)
     }
 
+    // Node circles are coloured by position among node rows (leg headers don't count)
+    const nodeRows = rows.filter(r => r.type === 'node');
+
     const flowRowsHtml = rows.map((row, rowIdx) => {
-      if (row.type === 'node') {
-        const originalFeat = getNodeOriginalFeature(row.nodeId);
-        const originalProps = originalFeat ? originalFeat.properties : {};
+      if (row.type === 'leg') {
+        return `
+        <div class="ml-flow-row ml-flow-row-leg">
+        <div class="ml-leg-header">
+        <span class="ml-leg-title">Leg ${row.leg + 1}: ${wrapArabic(String(row.source))} 🢒 ${wrapArabic(String(row.target))}</span>
+        <span class="ml-leg-cost">${escapeHtml(String(row.costHuman))} · ${escapeHtml(row.fare)}</span>
+        </div>
+        </div>`;
+      }
 
-        const label = wrapArabic(String(originalProps.name || row.label || ''));
-        const otaText = originalProps.ota ? wrapArabic(String(originalProps.ota)) : '';
-
-        // Determine rank for this node - look it up from allFeatures using nodeId
-        let nodeRank = row.rank;
-
-        // If rank not already set, look it up
-        if (nodeRank === null || nodeRank === undefined) {
-          nodeRank = getNodeRank(row.nodeId);
-        }
+      if (row.type === 'wait') {
+        const text = row.overnight
+        ? `Overnight stay in ${escapeHtml(String(row.place))}, departs ${escapeHtml(row.departs)}`
+        : `Wait ${escapeHtml(String(row.waitHuman))}, departs ${escapeHtml(row.departs)}`;
+        return `
+        <div class="ml-flow-row ml-flow-row-wait">
+        <div class="ml-flow-left"><span class="ml-connector transfer"></span></div>
+        <div class="ml-flow-right">
+        <div class="ml-wait${row.overnight ? ' ml-wait-overnight' : ''}">
+        <span class="material-symbols-outlined ml-icon-inline" aria-hidden="true">${row.overnight ? 'bedtime' : 'schedule'}</span>
+        <span>${text}</span>
+        </div>
+        </div>
+        </div>`;
+      }
 
-        // Get rank label text (for expanded view)
-        const rankText = (nodeRank !== null && ! isNaN(nodeRank) && rankLabelMap.hasOwnProperty(nodeRank))
-        ? rankLabelMap[nodeRank]
-        : '';
+      if (row.type === 'node') {
+        const originalFeat = getNodeOriginalFeature(row.nodeId);
+        const originalProps = originalFeat ? originalFeat.properties : {};
 
-        // Get alternate names for this node
-        const alternateNames = getNodeAlternateNames(row.nodeId, row.label);
+        const label = wrapArabic(String(originalProps.name || row.label || ''));
+        const otaText = originalProps.ota ? wrapArabic(String(originalProps.ota)) : '';
 
         // Determine node circle color
         let nodeStyle = '';
-        if (rowIdx === 0) {
+        if (row === nodeRows[0]) {
           // First node - green (source)
           nodeStyle = 'background-color: #2e7d32; border-color: #2e7d32;';
-        } else if (rowIdx === rows.length - 1) {
+        } else if (row === nodeRows[nodeRows.length - 1]) {
           // Last node - red (target)
           nodeStyle = 'background-color: #d32f2f; border-color: #d32f2f;';
+        } else if (row.isStop) {
+          // Intermediate stop - gray, as on the map
+          nodeStyle = 'background-color: #888888; border-color: #888888;';
         }
 
-        // Build rank HTML (hidden by default, shown when expanded)
-        const rankHtml = rankText
-        ? `<div class="ml-node-card-rank" style="display: block;">${escapeHtml(rankText)}</div>`
-        : '';
-
-        // Build alternates HTML (hidden by default, shown when expanded)
-        let alternatesHtml = '';
-        if (alternateNames.length > 0) {
-          // Note: updateAlternatesInCard will rewrite this content when data loads,
-          // but we provide a placeholder or static list here if data is already known
-          // For now, leaving the static generator as is, but it might be overridden by API data on expand.
-          const alternateItems = alternateNames
-          .map(name => `<div class="ml-node-card-alternate">${escapeHtml(name)}</div>`)
-          .join('');
-          alternatesHtml = `
-          <div class="ml-node-card-alternates">
-          <div class="ml-node-card-alternates-list">
-          ${alternateItems}
-          </div>
-          </div>`;
-        }
-
-        // Build lines HTML (hidden by default, shown when expanded, populated on first expand)
-        const linesHtml = `
-        <div class="ml-node-card-lines">
-        <div class="ml-node-card-lines-loading">Loading lines...</div>
-        </div>`;
-
         return `
         <div class="ml-flow-row ml-flow-row-node">
         <div class="ml-flow-left">
         <!-- Circle now rendered inside the card -->
         </div>
         <div class="ml-flow-right ml-flow-right-node">
-        <div class="ml-node-card" tabindex="0" role="button" aria-expanded="false" data-node-id="${escapeHtml(String(row.nodeId || ''))}" data-lines-loaded="false">
+        <div class="ml-node-card" tabindex="0" role="button" title="Show details" data-node-id="${escapeHtml(String(row.nodeId || ''))}">
         <span class="ml-node" style="${nodeStyle}"></span>
         <div class="ml-node-card-content">
+        ${row.time ? `<div class="ml-node-card-time">${escapeHtml(row.time)}</div>` : ''}
         <div class="ml-node-card-name" style="display: flex; justify-content: space-between;">
         <span>${label}</span>
         ${otaText ? `<span>${otaText}</span>` : ''}
         </div>
-        ${rankHtml}
-        ${alternatesHtml}
-        ${linesHtml}
         </div>
         </div>
         </div>
@@ -1370,7 +2166,7 @@ export default async function initSearchControl(map, opts = {}) {
       style="${connectorStyle}"></span>
       </div>
       <div class="ml-flow-right ml-flow-right-seg">
-      <div class="ml-seg-line"
+      <div class="ml-seg-line${row.disabled ? ' ml-seg-line-disabled' : ''}"
       data-idx="${row.idx}"
       role="button"
       tabindex="0">
@@ -1382,6 +2178,8 @@ export default async function initSearchControl(map, opts = {}) {
       <div class="ml-seg-line-text">
       <span class="ml-seg-line-name">${escapeHtml(String(row.line))}</span>
       <span class="ml-seg-line-mode">${modeLabel}</span>
+      ${row.times ? `<span class="ml-seg-line-times">${escapeHtml(row.times)}</span>` : ''}
+      ${row.fare ? `<span class="ml-seg-line-fare">${escapeHtml(row.fare)}</span>` : ''}
       </div>
       </div>
       <span class="ml-seg-line-cost">${escapeHtml(String(row.costHuman))}</span>
@@ -1393,42 +2191,42 @@ export default async function initSearchControl(map, opts = {}) {
 
     const flowHtml = `<div class="ml-flow">${flowRowsHtml}</div>`;
 
-    sidebar.innerHTML = `${summaryHtml}<div class="ml-seg-list">${flowHtml}</div>`;
-
-    // Wire up node card click handlers for expand/collapse
-    const nodeCardEls = sidebar.querySelectorAll('.ml-node-card');
-    nodeCardEls.forEach(el => {
-      const toggleExpand = async () => {
-        const isExpanded = el.classList.toggle('expanded');
-        el.setAttribute('aria-expanded', isExpanded ?  'true' : 'false');
-
-        // Fetch lines & names on first expand
-        if (isExpanded && el.dataset.linesLoaded === 'false') {
-          const nodeId = el.dataset.nodeId;
-          const linesContainer = el.querySelector('.ml-node-card-lines');
-
-          if (nodeId && linesContainer) {
-            el.dataset.linesLoaded = 'true'; // Mark as loading/loaded
-
-            try {
-              const payload = await fetchNodeLines(nodeId);
-              renderNodeLines(linesContainer, payload.lines);
-              // Update alternates from API names (if any)
-              if (payload.names && payload.names.length) {
-                updateAlternatesInCard(el, payload.names);
-              }
-            } catch (err) {
-              linesContainer.innerHTML = '<div class="ml-node-card-lines-error">Failed to load lines</div>';
-            }
-          }
-        }
-      };
+    const exportHtml = `
+    <details class="ml-export">
+    <summary>Export route</summary>
+    <div class="ml-export-menu">
+    ${exportFormats.map(fmt => `<button type="button" class="ml-export-btn" data-format="${fmt.id}">${escapeHtml(fmt.label)}</button>`).join('')}
+    <button type="button" class="ml-export-btn ml-print-btn">Print / PDF</button>
+    </div>
+    </details>`;
+
+    sidebar.innerHTML = `${summaryHtml}${exportHtml}${warningHtml}${alternativesHtml}<div class="ml-seg-list">${flowHtml}</div>`;
+
+    sidebar.querySelectorAll('.ml-export-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.classList.contains('ml-print-btn')) printRoute(routeGeo).catch(console.error);
+        else exportRoute(routeGeo, btn.dataset.format);
+        const details = btn.closest('details');
+        if (details) details.open = false;
+      });
+    });
 
-      el.addEventListener('click', toggleExpand);
+    sidebar.querySelectorAll('.ml-alt-item:not(.ml-alt-item-primary)').forEach(el => {
+      const promote = () => promoteAlternative(Number(el.dataset.alt));
+      el.addEventListener('click', promote);
+      el.addEventListener('keydown', (ev) => {
+        if (ev.key === 'Enter' || ev.key === ' ') { ev.preventDefault(); promote(); }
+      });
+    });
+
+    // Node cards open the detail panel
+    sidebar.querySelectorAll('.ml-node-card').forEach(el => {
+      const open = () => openNodePanel(el.dataset.nodeId);
+      el.addEventListener('click', open);
       el.addEventListener('keydown', (ev) => {
         if (ev.key === 'Enter' || ev.key === ' ') {
           ev.preventDefault();
-          toggleExpand();
+          open();
         }
       });
     });
@@ -1569,7 +2367,7 @@ export default async function initSearchControl(map, opts = {}) {
         center: [centerLng, centerLat],
         zoom: targetZoom,
         padding,            // still apply padding so it favors left side vs sidebar
-        duration: 700
+        duration: opts.duration ?? 700
       });
     } catch (e) {
       // Fallback: center only, small zoom-out from current
@@ -1641,27 +2439,1010 @@ export default async function initSearchControl(map, opts = {}) {
     }
   }
 
+  // Integer codes (see modeIntToName) of the modes switched off in the settings panel.
+  // Modes missing from allowedModes (panel never opened) count as allowed.
+  function getExcludedModeInts() {
+    return transportModes
+    .filter(mode => state.settings.allowedModes[mode] === false)
+    .map(mode => modeNameToInt[mode]);
+  }
+
+  // Departure date/time in the selected year, or null when routing by duration only
+  function getDepartureDate() {
+    if (!state.settings.departure) return null;
+    return parseDeparture(`${state.settings.year}-${state.settings.departure}`);
+  }
+
+  function getCriterion() {
+    return routeCriteria[state.settings.criterion] ? state.settings.criterion : 'fastest';
+  }
+
+  // queryOpts.excludeModes: extra mode codes to avoid
+  // queryOpts.excludeEdges: [source, target] node id pairs to avoid (used to derive alternatives)
+  // queryOpts.alternatives: number of k-shortest alternatives to ask the router for
+  // queryOpts.departure: departure Date, for timetable-aware routing
+  // queryOpts.cached: reuse responses from routeResponseCache (fetchItinerary only)
+  function buildRouteUrl(sourceId, targetId, queryOpts = {}) {
+    const year = (state.settings && state.settings.year) ?  Number(state.settings.year) : 1914;
+    let url = `${apiBase}/v2/route?source=${encodeURIComponent(sourceId)}&target=${encodeURIComponent(targetId)}&year=${encodeURIComponent(year)}`;
+
+    // The default (fastest) is what the router always did, so it isn't sent
+    if (getCriterion() !== 'fastest') {
+      url += `&criterion=${encodeURIComponent(getCriterion())}`;
+    }
+
+    if (queryOpts.alternatives) {
+      url += `&alternatives=${encodeURIComponent(queryOpts.alternatives)}`;
+    }
+    if (queryOpts.departure) {
+      url += `&depart=${encodeURIComponent(formatDeparture(queryOpts.departure))}`;
+    }
+    if (queryOpts.excludeEdges && queryOpts.excludeEdges.length) {
+      url += `&exclude_edges=${encodeURIComponent(queryOpts.excludeEdges.map(pair => pair.join('-')).join(','))}`;
+    }
+    return url + buildModeParams(queryOpts.excludeModes);
+  }
+
+  // Query-string suffix carrying the mode filter (settings + extraExcluded codes).
+  // Only sent when something is actually disabled; both the allowed and the excluded
+  // list are sent so the router can use whichever it supports.
+  function buildModeParams(extraExcluded = []) {
+    const excluded = getExcludedModeInts();
+    extraExcluded.forEach(code => {
+      if (!excluded.includes(code)) excluded.push(code);
+    });
+    if (!excluded.length) return '';
+    const allowed = transportModes
+    .map(mode => modeNameToInt[mode])
+    .filter(code => !excluded.includes(code));
+    return `&modes=${encodeURIComponent(allowed.join(','))}&exclude_modes=${encodeURIComponent(excluded.join(','))}`;
+  }
+
+  // Fetch the itinerary leg by leg (source -> vias -> target) and merge the legs into one
+  // FeatureCollection. Each segment is tagged with ml_leg so the sidebar can subtotal per leg.
+  async function fetchItinerary(stops, queryOpts = {}) {
+    const legs = [];
+    for (let i = 0; i < stops.length - 1; i++) {
+      // consecutive identical stops would give an empty leg
+      if (String(stops[i].properties.id) === String(stops[i + 1].properties.id)) continue;
+      legs.push({ from: stops[i], to: stops[i + 1] });
+    }
+
+    // k-shortest alternatives are only requested for single-leg routes
+    const legQueryOpts = (legs.length === 1) ? queryOpts : { ...queryOpts, alternatives: 0 };
+
+    const fetchLeg = async (leg, departure) => {
+      const url = buildRouteUrl(leg.from.properties.id, leg.to.properties.id, { ...legQueryOpts, departure });
+      if (queryOpts.cached && routeResponseCache.has(url)) {
+        // hand out a copy: features get tagged/enriched in place further down
+        return JSON.parse(JSON.stringify(routeResponseCache.get(url)));
+      }
+      let res;
+      try {
+        res = await fetch(url, { cache: 'no-store' });
+      } catch (err) {
+        if (state.settings.localRouter) return routeLegLocally(leg, legQueryOpts);
+        throw err;
+      }
+      if (res.status >= 500 && state.settings.localRouter) return routeLegLocally(leg, legQueryOpts);
+      if (!res.ok) throw new Error('Route fetch failed: ' + res.status);
+      const legGeo = await res.json();
+      if (!legGeo || !Array.isArray(legGeo.features)) throw new Error('Invalid route GeoJSON');
+      if (queryOpts.cached) {
+        if (routeResponseCache.size >= routeResponseCacheMax) {
+          routeResponseCache.delete(routeResponseCache.keys().next().value);
+        }
+        routeResponseCache.set(url, JSON.parse(JSON.stringify(legGeo)));
+      }
+      return legGeo;
+    };
+
+    // With a departure time each leg leaves when the previous one arrives, so legs go one by one
+    let legGeos;
+    if (queryOpts.departure) {
+      legGeos = [];
+      let legDeparture = queryOpts.departure;
+      for (const leg of legs) {
+        const legGeo = await fetchLeg(leg, legDeparture);
+        legGeos.push(legGeo);
+        const times = buildTimetable(legGeo.features, legDeparture);
+        if (times.length) legDeparture = times[times.length - 1].arrival;
+      }
+    } else {
+      legGeos = await Promise.all(legs.map(leg => fetchLeg(leg, null)));
+    }
+
+    const features = [];
+    legGeos.forEach((legGeo, legIdx) => {
+      legGeo.features.forEach(f => {
+        f.properties = { ...(f.properties || {}), ml_leg: legIdx };
+        features.push(f);
+      });
+    });
+
+    const mlLegs = legs.map(leg => ({
+      sourceId: String(leg.from.properties.id),
+      targetId: String(leg.to.properties.id)
+    }));
+
+    // Alternatives returned by the router itself (k shortest paths), if it supports them
+    const apiAlternatives = (legGeos.length === 1 && Array.isArray(legGeos[0].alternatives))
+    ? legGeos[0].alternatives
+    .filter(alt => alt && Array.isArray(alt.features) && alt.features.length)
+    .map(alt => ({
+      type: 'FeatureCollection',
+      features: alt.features.map(f => ({ ...f, properties: { ...(f.properties || {}), ml_leg: 0 } })),
+      ml_legs: mlLegs
+    }))
+    : [];
+
+    // A router that supports the requested criterion echoes it; otherwise its routes are the fastest
+    const routerCriterion = legGeos.every(g => (g.criterion || 'fastest') === getCriterion()) ? getCriterion() : null;
+
+    return {
+      type: 'FeatureCollection',
+      features,
+      ml_legs: mlLegs,
+      ml_alternatives: apiAlternatives,
+      ml_criterion: routerCriterion,
+      ml_local: legGeos.some(g => g.ml_local)
+    };
+  }
+
+  // Derive alternatives when the router can't return k shortest paths: for each of the longest rides
+  // of the primary route (consecutive segments on one line), re-query the itinerary with that ride's
+  // edges excluded (exclude_edges). A router that ignores exclude_edges answers with the same ride,
+  // in which case the ride's whole mode is left out instead. Each alternative carries ml_alt_note,
+  // "avoiding <line>" or "without <mode>", shown in the sidebar.
+  async function deriveAlternatives(primary, stops) {
+    const rides = [];
+    primary.features.forEach(f => {
+      const p = f.properties || {};
+      const modeName = modeIntToName[Number(p.mode)];
+      if (!modeName || nonVehicleModes.includes(modeName)) return;
+      const last = rides[rides.length - 1];
+      const key = `${p.ml_leg ?? 0}|${modeName}|${p.line || ''}`;
+      const edge = [String(p.source), String(p.target)];
+      if (last && last.key === key) {
+        last.edges.push(edge);
+        last.cost += Number(p.cost) || 0;
+      } else {
+        rides.push({ key, modeName, line: p.line || '', edges: [edge], cost: Number(p.cost) || 0 });
+      }
+    });
+
+    const longestRides = rides
+    .sort((a, b) => b.cost - a.cost)
+    .slice(0, maxAlternatives);
+
+    const departure = getDepartureDate();
+    const usesRide = (routeGeo, ride) => routeGeo.features.some(f => {
+      const p = f.properties || {};
+      return modeIntToName[Number(p.mode)] === ride.modeName && ride.edges.some(([a, b]) =>
+        (String(p.source) === a && String(p.target) === b) || (String(p.source) === b && String(p.target) === a));
+    });
+    const modesLeftOut = new Set();
+    const results = await Promise.all(longestRides.map(async ride => {
+      const avoiding = await fetchItinerary(stops, { excludeEdges: ride.edges, departure }).catch(() => null);
+      if (avoiding && avoiding.features.length && !usesRide(avoiding, ride)) {
+        avoiding.ml_alt_note = `avoiding ${ride.line || ride.modeName}`;
+        return avoiding;
+      }
+      if (modesLeftOut.has(ride.modeName)) return null;
+      modesLeftOut.add(ride.modeName);
+      const without = await fetchItinerary(stops, { excludeModes: [modeNameToInt[ride.modeName]], departure }).catch(() => null);
+      if (without) without.ml_alt_note = `without ${ride.modeName}`;
+      return without;
+    }));
+    return uniqueRoutes(primary, results);
+  }
+
+  // Drop failed or empty queries and anything identical to the primary or an earlier route
+  function uniqueRoutes(primary, routes) {
+    const seen = new Set([routeSignature(primary)]);
+    return routes.filter(r => {
+      if (!r || !r.features.length) return false;
+      const sig = routeSignature(r);
+      if (seen.has(sig)) return false;
+      seen.add(sig);
+      return true;
+    });
+  }
+
+  function routeSignature(routeGeo) {
+    return routeGeo.features.map(f => {
+      const p = f.properties || {};
+      return `${p.source ?? ''}>${p.target ?? ''}:${p.mode ?? ''}`;
+    }).join('|');
+  }
+
+  // Stable sort by the selected criterion, ties broken by duration: the router's own choice stays
+  // first unless another candidate is strictly better
+  function rankRoutes(routes) {
+    const criterion = routeCriteria[getCriterion()];
+    return routes
+    .map(r => ({ r, score: criterion.score(r), mins: summarizeRoute(r.features).totalMins }))
+    .sort((a, b) => (a.score - b.score) || (a.mins - b.mins))
+    .map(x => x.r);
+  }
+
+  // Swap the alternative at `altIdx` with the primary route and re-render without refetching
+  function promoteAlternative(altIdx) {
+    if (altIdx <= 0 || altIdx >= currentRoutes.length) return;
+    const promoted = currentRoutes[altIdx];
+    currentRoutes[altIdx] = currentRoutes[0];
+    currentRoutes[0] = promoted;
+    renderCurrentRoutes({ fit: false }).catch(console.error);
+  }
+
+  // ---- In-browser routing fallback ----
+  // With settings.localRouter on, legs the API can't answer (unreachable or a server error) are routed
+  // in a Web Worker over a network snapshot (opts.routerSnapshotUrl), see local-router.js.
+
+  const localRouter = createLocalRouter(opts.routerSnapshotUrl || 'network-snapshot.json', () =>
+  allFeatures
+  .filter(f => f.geometry && f.geometry.type === 'Point')
+  .map(f => ({ id: f.properties.id, coordinates: f.geometry.coordinates }))
+  );
+
+  function setLocalRouterStatus(text) {
+    const el = container.querySelector('#mlLocalRouterStatus');
+    if (el) el.textContent = text || '';
+  }
+
+  async function loadLocalRouter() {
+    setLocalRouterStatus('Loading network snapshot…');
+    try {
+      const info = await localRouter.load();
+      const years = info.years ? `, ${info.years[0]}–${info.years[1]}` : '';
+      setLocalRouterStatus(`Snapshot ready: ${info.edges.toLocaleString()} connections${years}`);
+    } catch (err) {
+      console.warn('Network snapshot unavailable:', err && err.message ? err.message : err);
+      setLocalRouterStatus('Network snapshot unavailable');
+    }
+  }
+
+  // Same result shape as a /v2/route response; the router's own criteria / timetables don't apply
+  async function routeLegLocally(leg, queryOpts = {}) {
+    const excludeModes = getExcludedModeInts();
+    (queryOpts.excludeModes || []).forEach(code => {
+      if (!excludeModes.includes(code)) excludeModes.push(code);
+    });
+    const legGeo = await localRouter.route(leg.from.properties.id, leg.to.properties.id, {
+      year: state.settings.year,
+      excludeModes,
+      excludeEdges: queryOpts.excludeEdges || []
+    });
+    if (!legGeo) throw new Error('No route in the network snapshot');
+    return { ...legGeo, ml_local: true };
+  }
+
+  // ---- Isochrone / reachability from the selected source ----
+  // Colours the base 'nodes' source by travel time from selected.source, in bands up to the
+  // configured limit. Uses /v2/isochrone when the API has it, otherwise many route queries.
+
+  const isochrone = { token: 0, debounce: null, key: '', abort: null, routeCosts: new Map() };
+  const isochroneBandColors = ['#1a9850', '#91cf60', '#fee08b', '#fc8d59', '#d73027'];
+  // Fallback (route per node): only nodes the limit could reach at isochroneMaxKmh in a straight line
+  // are queried, the nearest isochroneMaxQueries of them, a few in parallel. Its results are kept
+  // per source, year and mode filter with the radius they cover, so lowering the limit, changing the
+  // contours or going back to an earlier year doesn't query again, and raising it only queries the
+  // nodes not checked yet.
+  const isochroneMaxQueries = opts.isochroneMaxQueries || 80;
+  const isochroneMaxKmh = opts.isochroneMaxKmh || 80;
+  const isochroneConcurrency = 6;
+  const isochroneCacheSize = 8;
+
+  // ---- Network overlay ----
+  // Every edge valid in the selected year (/v2/network), drawn underneath the route with the same
+  // mode symbology. Edges of disabled modes are left out so the overlay matches what routing uses.
+
+  const network = { token: 0, debounce: null, key: '', cache: new Map() };
+  const networkCacheSize = 8;
+  const networkLayerIds = ['search-network-road-outline', 'search-network-line', 'search-network-rail-symbol', 'search-network-rail-narrow-symbol'];
+
+  function setNetworkStatus(text) {
+    const el = container.querySelector('#mlNetworkStatus');
+    if (el) el.textContent = text || '';
+  }
+
+  function scheduleNetworkUpdate() {
+    if (network.debounce) clearTimeout(network.debounce);
+    network.debounce = setTimeout(() => {
+      network.debounce = null;
+      updateNetwork().catch(console.error);
+    }, 250);
+  }
+
+  async function fetchNetwork(year) {
+    if (network.cache.has(year)) return network.cache.get(year);
+    const url = `${apiBase}/v2/network?year=${encodeURIComponent(year)}`;
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error('Network fetch failed: ' + res.status);
+    const data = await res.json();
+    if (!data || !Array.isArray(data.features)) throw new Error('Invalid network GeoJSON');
+    if (network.cache.size >= networkCacheSize) network.cache.delete(network.cache.keys().next().value);
+    network.cache.set(year, data);
+    return data;
+  }
+
+  async function updateNetwork() {
+    if (!state.settings.showNetwork) {
+      network.token++;
+      network.key = '';
+      clearNetwork();
+      return;
+    }
+
+    const year = state.settings.year;
+    const excluded = getExcludedModeInts();
+    const key = `${year}|${excluded.join(',')}`;
+    if (key === network.key) return;
+
+    const token = ++network.token;
+    if (!network.cache.has(year)) setNetworkStatus(`Loading network for ${year}…`);
+    let data;
+    try {
+      data = await fetchNetwork(year);
+    } catch (err) {
+      if (token !== network.token) return;
+      console.warn('Failed to load network:', err && err.message ? err.message : err);
+      setNetworkStatus('Network unavailable');
+      return;
+    }
+    if (token !== network.token) return;
+
+    const hidden = excluded.concat([modeNameToInt.transfer, modeNameToInt.switch, modeNameToInt.connection]);
+    const features = data.features
+    .filter(f => f && f.geometry && !hidden.includes(Number(f.properties && f.properties.mode)))
+    .map(f => ({ type: 'Feature', geometry: f.geometry, properties: enrichSegmentProps({ ...(f.properties || {}) }) }));
+
+    renderNetwork({ type: 'FeatureCollection', features });
+    network.key = key;
+    setNetworkStatus(`${features.length} ${features.length === 1 ? 'segment' : 'segments'} in ${year}`);
+  }
+
+  function renderNetwork(fc) {
+    try {
+      if (map.getSource('search-network')) map.getSource('search-network').setData(fc);
+      else map.addSource('search-network', { type: 'geojson', data: fc });
+    } catch (err) {
+      console.error('Failed to add/update search-network source:', err && err.message ? err.message : err);
+      return;
+    }
+    if (map.getLayer('search-network-line')) return;
+
+    ensureRailPatterns();
+    // Below the route layers, which are (re)inserted right under the node labels
+    const routeLayer = ['search-route-alt-line', 'search-route-road-outline', 'search-route-line-base', 'search-route-line-fallback']
+    .find(id => map.getLayer(id));
+    const beforeId = routeLayer || (map.getLayer('nodes-label') ? 'nodes-label' : undefined);
+    const modeIs = (mode) => ['==', ['get', 'ml_mode_lower'], mode];
+
+    try {
+      map.addLayer({
+        id: 'search-network-road-outline',
+        type: 'line',
+        source: 'search-network',
+        filter: ['in', ['get', 'ml_mode_lower'], ['literal', ['road', 'chaussee']]],
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: { 'line-color': '#000000', 'line-width': 3.5, 'line-opacity': 0.5 }
+      }, beforeId);
+
+      map.addLayer({
+        id: 'search-network-line',
+        type: 'line',
+        source: 'search-network',
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: {
+          'line-color': ['coalesce', ['get', 'ml_color'], '#000000'],
+          'line-width': [
+            'case',
+            modeIs('narrow-gauge railway'), 3,
+            modeIs('railway'), 4,
+            ['in', ['get', 'ml_mode_lower'], ['literal', ['road', 'chaussee']]], 2.5,
+            2.5
+          ],
+          'line-dasharray': [
+            'case',
+            ['in', ['get', 'ml_mode_lower'], ['literal', ['ferry', 'ship', 'metro']]], ['literal', [4, 4]],
+            ['literal', [1, 0]]
+          ],
+          'line-opacity': 0.6
+        }
+      }, beforeId);
+
+      const railLayer = (id, mode, image, spacing, dash) => {
+        if (map.hasImage && map.hasImage(image)) {
+          map.addLayer({
+            id,
+            type: 'symbol',
+            source: 'search-network',
+            filter: modeIs(mode),
+            layout: {
+              'symbol-placement': 'line',
+              'symbol-spacing': spacing,
+              'icon-image': image,
+              'icon-size': 0.6,
+              'icon-allow-overlap': true,
+              'icon-ignore-placement': true
+            },
+            paint: { 'icon-opacity': 0.8 }
+          }, beforeId);
+        } else {
+          map.addLayer({
+            id,
+            type: 'line',
+            source: 'search-network',
+            filter: modeIs(mode),
+            layout: { 'line-join': 'round', 'line-cap': 'butt' },
+            paint: { 'line-color': '#ffffff', 'line-width': 2, 'line-dasharray': ['literal', dash], 'line-opacity': 0.8 }
+          }, beforeId);
+        }
+      };
+      railLayer('search-network-rail-symbol', 'railway', 'ml-rail-pattern', 8, [4, 4]);
+      railLayer('search-network-rail-narrow-symbol', 'narrow-gauge railway', 'ml-rail-narrow-pattern', 6, [3, 3]);
+    } catch (err) {
+      console.error('Adding network layers failed:', err && err.message ? err.message : err);
+    }
+  }
+
+  function clearNetwork() {
+    networkLayerIds.forEach(id => {
+      try { if (map.getLayer(id)) map.removeLayer(id); } catch (_) {}
+    });
+    try { if (map.getSource('search-network')) map.removeSource('search-network'); } catch (_) {}
+    setNetworkStatus('');
+  }
+
+  function getIsochroneLimitMins() {
+    const value = Math.max(1, Number(state.settings.isochroneLimit) || 1);
+    return value * (state.settings.isochroneUnit === 'd' ? 1440 : 60);
+  }
+
+  function scheduleIsochroneUpdate() {
+    if (isochrone.debounce) clearTimeout(isochrone.debounce);
+    isochrone.debounce = setTimeout(() => {
+      isochrone.debounce = null;
+      updateIsochrone().catch(console.error);
+    }, 300);
+  }
+
+  async function updateIsochrone() {
+    if (!state.settings.showIsochrone || !selected.source || !map.getSource('nodes')) {
+      cancelIsochrone();
+      isochrone.key = '';
+      clearIsochrone();
+      return;
+    }
+
+    const sourceId = String(selected.source.properties.id);
+    const limitMins = getIsochroneLimitMins();
+    const key = `${sourceId}|${state.settings.year}|${getExcludedModeInts().join(',')}|${limitMins}|${!!state.settings.isochroneContours}`;
+    if (key === isochrone.key) return;
+    isochrone.key = key;
+
+    cancelIsochrone();
+    const token = isochrone.token;
+    const controller = new AbortController();
+    isochrone.abort = controller;
+    setIsochroneStatus('Computing reachability…');
+    try {
+      const { costs, note } = await fetchIsochroneCosts(sourceId, limitMins, controller.signal);
+      if (token !== isochrone.token) return;
+      renderIsochrone(costs, limitMins, note);
+    } catch (err) {
+      if (token !== isochrone.token) return;
+      console.warn('Isochrone failed:', err);
+      isochrone.key = '';
+      setIsochroneStatus('Could not compute reachability');
+    }
+  }
+
+  // Drop the computation in flight and abort its requests
+  function cancelIsochrone() {
+    isochrone.token++;
+    if (isochrone.abort) isochrone.abort.abort();
+    isochrone.abort = null;
+  }
+
+  // { costs: Map(nodeId -> minutes from sourceId), note }; note says why the result may be missing
+  // places (route fallback cut off or stopped), otherwise it is null
+  async function fetchIsochroneCosts(sourceId, limitMins, signal) {
+    const year = Number(state.settings.year) || 1914;
+    const url = `${apiBase}/v2/isochrone?source=${encodeURIComponent(sourceId)}&year=${encodeURIComponent(year)}&max=${encodeURIComponent(limitMins)}${buildModeParams()}`;
+    try {
+      const res = await fetch(url, { cache: 'no-store', signal });
+      if (res.ok) {
+        const data = await res.json();
+        // Accept { result: [{ id, cost }] } or a FeatureCollection of nodes carrying cost
+        const entries = Array.isArray(data && data.result)
+        ? data.result
+        : (Array.isArray(data && data.features) ? data.features.map(f => ({ id: f.id, ...(f.properties || {}) })) : []);
+        const costs = new Map();
+        entries.forEach(e => {
+          const id = e.id ?? e.node;
+          if (id === undefined || id === null || e.cost === undefined) return;
+          costs.set(String(id), Number(e.cost));
+        });
+        if (costs.size) {
+          costs.set(sourceId, 0);
+          return { costs, note: null };
+        }
+      }
+    } catch (err) {
+      if (signal.aborted) throw err;
+      // endpoint missing or unreachable: fall back to individual route queries
+    }
+
+    const cacheKey = `${sourceId}|${year}|${getExcludedModeInts().join(',')}`;
+    const entry = isochrone.routeCosts.get(cacheKey)
+    || { costs: new Map([[sourceId, 0]]), checked: new Set([sourceId]), radiusKm: 0, truncated: false };
+    const radiusKm = limitMins / 60 * isochroneMaxKmh;
+    let stopped = null;
+    if (entry.radiusKm < radiusKm && !entry.truncated) {
+      const batch = await computeIsochroneFromRoutes(sourceId, entry, radiusKm, signal);
+      stopped = batch.stopped;
+      if (!stopped) {
+        entry.radiusKm = batch.coveredKm;
+        entry.truncated = batch.truncated;
+      }
+      isochrone.routeCosts.delete(cacheKey);
+      if (isochrone.routeCosts.size >= isochroneCacheSize) isochrone.routeCosts.delete(isochrone.routeCosts.keys().next().value);
+      isochrone.routeCosts.set(cacheKey, entry);
+    }
+    let note = null;
+    if (stopped === 'rate-limited') note = 'partial: API rate-limited';
+    else if (stopped) note = 'partial: the API stopped answering';
+    else if (entry.radiusKm < radiusKm) note = `of the ${isochroneMaxQueries} nearest places checked`;
+    return { costs: new Map(Array.from(entry.costs).filter(([, mins]) => mins <= limitMins)), note };
+  }
+
+  // Queries the nodes within radiusKm of the source that `entry` hasn't checked yet, nearest first,
+  // adding their minutes to entry.costs. { coveredKm, truncated, stopped }: truncated when
+  // isochroneMaxQueries left some out, so only places up to coveredKm away were all checked; stopped
+  // ('rate-limited' or 'error') when a 429, a server error or a failed request ended the batch early.
+  // An abort throws.
+  async function computeIsochroneFromRoutes(sourceId, entry, radiusKm, signal) {
+    const origin = getNodeOriginalFeature(sourceId);
+    if (!origin || !origin.geometry) return { coveredKm: radiusKm, truncated: false, stopped: null };
+    const originCoords = origin.geometry.coordinates;
+
+    // Distinct, non-clustered nodes with a real position in reach
+    const seen = new Set(entry.checked);
+    const candidates = [];
+    allFeatures.forEach(f => {
+      const p = f.properties || {};
+      const id = String(p.id);
+      if (seen.has(id) || (p.cluster !== null && p.cluster !== undefined)) return;
+      if (!f.geometry || f.geometry.type !== 'Point') return;
+      const [lng, lat] = f.geometry.coordinates;
+      if (lng === 0 && lat === 0) return;
+      seen.add(id);
+      const dist = haversineKm(originCoords, f.geometry.coordinates);
+      if (dist <= radiusKm) candidates.push({ id, dist });
+    });
+    candidates.sort((a, b) => a.dist - b.dist);
+    const allowed = Math.max(0, isochroneMaxQueries - (entry.checked.size - 1));
+    const batch = candidates.slice(0, allowed);
+    const queue = batch.slice();
+
+    let stopped = null;
+    const worker = async () => {
+      while (queue.length && !stopped && !signal.aborted) {
+        const { id } = queue.shift();
+        try {
+          const res = await fetch(buildRouteUrl(sourceId, id), { cache: 'no-store', signal });
+          if (res.status === 429 || res.status >= 500) {
+            stopped = res.status === 429 ? 'rate-limited' : 'error';
+            continue;
+          }
+          entry.checked.add(id);
+          if (!res.ok) continue;
+          const routeGeo = await res.json();
+          if (!routeGeo || !Array.isArray(routeGeo.features) || !routeGeo.features.length) continue;
+          entry.costs.set(id, summarizeRoute(routeGeo.features).totalMins);
+        } catch (e) {
+          if (!signal.aborted) stopped = 'error';
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: isochroneConcurrency }, worker));
+    if (signal.aborted) throw new DOMException('Isochrone cancelled', 'AbortError');
+    const truncated = candidates.length > allowed;
+    const coveredKm = truncated ? (batch.length ? batch[batch.length - 1].dist : entry.radiusKm) : radiusKm;
+    return { coveredKm, truncated, stopped };
+  }
+
+  function renderIsochrone(costs, limitMins, note = null) {
+    const bands = isochroneBandColors.length;
+    const bandSize = limitMins / bands;
+    const colorExpr = ['match', ['to-string', ['get', 'id']]];
+    const ids = [];
+    const bandPoints = isochroneBandColors.map(() => []);
+
+    costs.forEach((mins, id) => {
+      if (!(mins <= limitMins)) return;
+      const band = Math.min(bands - 1, Math.floor(mins / bandSize));
+      colorExpr.push(id, isochroneBandColors[band]);
+      ids.push(id);
+      const feat = getNodeOriginalFeature(id);
+      if (feat && feat.geometry && feat.geometry.type === 'Point') bandPoints[band].push(feat.geometry.coordinates);
+    });
+
+    if (ids.length < 2) {
+      clearIsochrone();
+      setIsochroneStatus('Nothing reachable within the limit');
+      return;
+    }
+    colorExpr.push('#999999');
+
+    const filter = ['in', ['to-string', ['get', 'id']], ['literal', ids]];
+    if (!map.getLayer('nodes-isochrone')) {
+      map.addLayer({
+        id: 'nodes-isochrone',
+        type: 'circle',
+        source: 'nodes',
+        filter,
+        paint: {
+          'circle-radius': ['interpolate', ['linear'], ['zoom'], 5, 3, 10, 7],
+          'circle-color': colorExpr,
+          'circle-stroke-color': '#333',
+          'circle-stroke-width': 0.5,
+          'circle-opacity': 0.9
+        }
+      }, 'nodes-label');
+    } else {
+      map.setFilter('nodes-isochrone', filter);
+      map.setPaintProperty('nodes-isochrone', 'circle-color', colorExpr);
+    }
+
+    // Optional contours: convex hull of everything reachable within each band's upper bound
+    const contourFeatures = [];
+    if (state.settings.isochroneContours) {
+      let cumulative = [];
+      bandPoints.forEach((pts, band) => {
+        cumulative = cumulative.concat(pts);
+        const ring = convexHull(cumulative);
+        if (!ring) return;
+        contourFeatures.push({
+          type: 'Feature',
+          geometry: { type: 'Polygon', coordinates: [ring] },
+          properties: { band, color: isochroneBandColors[band], mins: Math.round(bandSize * (band + 1)) }
+        });
+      });
+      // largest first so smaller bands are drawn on top
+      contourFeatures.reverse();
+    }
+    const contourData = { type: 'FeatureCollection', features: contourFeatures };
+    if (!map.getSource('isochrone-contours')) {
+      map.addSource('isochrone-contours', { type: 'geojson', data: contourData });
+      map.addLayer({
+        id: 'isochrone-contours-fill',
+        type: 'fill',
+        source: 'isochrone-contours',
+        paint: { 'fill-color': ['get', 'color'], 'fill-opacity': 0.12 }
+      }, 'nodes-isochrone');
+      map.addLayer({
+        id: 'isochrone-contours-line',
+        type: 'line',
+        source: 'isochrone-contours',
+        paint: { 'line-color': ['get', 'color'], 'line-width': 1.5, 'line-opacity': 0.8 }
+      }, 'nodes-isochrone');
+    } else {
+      map.getSource('isochrone-contours').setData(contourData);
+    }
+
+    setIsochroneStatus(`${ids.length - 1} places reachable${note ? ` (${note})` : ''}`, bandSize);
+  }
+
+  function clearIsochrone() {
+    try { if (map.getLayer('nodes-isochrone')) map.removeLayer('nodes-isochrone'); } catch (e) {}
+    try {
+      if (map.getSource('isochrone-contours')) map.getSource('isochrone-contours').setData({ type: 'FeatureCollection', features: [] });
+    } catch (e) {}
+    setIsochroneStatus('');
+  }
+
+  // Status line + band legend shown under the isochrone settings
+  function setIsochroneStatus(text, bandSize) {
+    const el = container.querySelector('#mlIsochroneStatus');
+    if (!el) return;
+    if (!text) {
+      el.innerHTML = '';
+      return;
+    }
+    const legend = bandSize
+    ? `<div class="ml-isochrone-legend">${isochroneBandColors.map((c, i) =>
+      `<span class="ml-isochrone-band"><span class="ml-isochrone-swatch" style="background:${c}"></span>≤ ${escapeHtml(String(formatCostMinutes(bandSize * (i + 1))))}</span>`
+      ).join('')}</div>`
+    : '';
+    el.innerHTML = `<div class="ml-isochrone-text">${escapeHtml(text)}</div>${legend}`;
+  }
+
+  // ---- Year playback ----
+
+  function getRouteStops() {
+    if (!selected.source || !selected.target) return [];
+    return getOrderedRoles().map(r => selected[r]).filter(Boolean);
+  }
+
+  // Identifies the itinerary the year chart belongs to (stops + mode filter)
+  function getYearSeriesKey() {
+    return `${getRouteStops().map(f => f.properties.id).join('>')}|${getExcludedModeInts().join(',')}`;
+  }
+
+  function recordYearPoint(year, routeGeo) {
+    const key = getYearSeriesKey();
+    if (yearSeries.key !== key) {
+      yearSeries.key = key;
+      yearSeries.points.clear();
+    }
+    const info = summarizeRoute(routeGeo.features);
+    yearSeries.points.set(Number(year), {
+      mins: info.totalMins,
+      rail: info.modes.includes('railway') || info.modes.includes('narrow-gauge railway')
+    });
+    renderYearChart();
+  }
+
+  function setYear(year) {
+    state.settings.year = Math.min(maxYear, Math.max(minYear, Number(year)));
+    const slider = container.querySelector('#mlYearSlider');
+    const yearValue = container.querySelector('#mlYearValue');
+    if (slider) slider.value = String(state.settings.year);
+    if (yearValue) yearValue.textContent = String(state.settings.year);
+    updateDepartureInput();
+    nodeLinesCache.clear(); // clear cache since year affects it
+  }
+
+  function updateDepartureInput() {
+    const input = container.querySelector('#mlDepartTime');
+    if (!input) return;
+    input.min = `${minYear}-01-01T00:00`;
+    input.max = `${maxYear}-12-31T23:59`;
+    const date = getDepartureDate();
+    input.value = date ? formatDeparture(date) : '';
+  }
+
+  function updatePlayButton() {
+    const playBtn = container.querySelector('#mlYearPlay');
+    if (!playBtn) return;
+    playBtn.textContent = yearPlayback.playing ? '⏸' : '▶';
+    playBtn.setAttribute('aria-label', yearPlayback.playing ? 'Pause' : 'Play years');
+  }
+
+  function startYearPlayback() {
+    if (yearPlayback.playing) return;
+    if (getRouteStops().length < 2) return;
+    if (state.settings.year >= maxYear) setYear(minYear);
+    yearPlayback.playing = true;
+    updatePlayButton();
+    playbackStep(true).catch(console.error);
+  }
+
+  function stopYearPlayback() {
+    if (!yearPlayback.playing) return;
+    yearPlayback.playing = false;
+    if (yearPlayback.timer) clearTimeout(yearPlayback.timer);
+    if (yearPlayback.animFrame) cancelAnimationFrame(yearPlayback.animFrame);
+    yearPlayback.timer = null;
+    yearPlayback.animFrame = null;
+    updatePlayButton();
+    // Leave the map showing the full route for the year we stopped at
+    renderCurrentRoutes({ fit: false }).catch(console.error);
+    syncUrlState();
+  }
+
+  async function playbackStep(first = false) {
+    if (!yearPlayback.playing) return;
+    const stops = getRouteStops();
+    if (stops.length < 2) {
+      stopYearPlayback();
+      return;
+    }
+
+    const stepMs = 1000 / (yearPlayback.speed || 1);
+    const year = state.settings.year;
+    try {
+      const routeGeo = await fetchItinerary(stops, { cached: true });
+      if (!yearPlayback.playing) return;
+      currentRoutes = [routeGeo];
+      recordYearPoint(year, routeGeo);
+      await renderCurrentRoutes({ fit: first });
+      await animateRouteReveal(routeGeo, stepMs * 0.7);
+    } catch (err) {
+      console.warn('Playback: no route for', year, err && err.message ? err.message : err);
+    }
+
+    if (!yearPlayback.playing) return;
+    if (year >= maxYear) {
+      stopYearPlayback();
+      return;
+    }
+    yearPlayback.timer = setTimeout(() => {
+      setYear(year + 1);
+      playbackStep().catch(console.error);
+    }, stepMs * 0.3);
+  }
+
+  // Progressively draw the route (all features, in order) over durationMs
+  function animateRouteReveal(routeGeo, durationMs) {
+    return new Promise((resolve) => {
+      const src = map.getSource('search-route');
+      if (!src || !routeGeo || !routeGeo.features.length) return resolve();
+
+      const lineOf = (f) => {
+        if (!f.geometry) return [];
+        if (f.geometry.type === 'LineString') return f.geometry.coordinates || [];
+        if (f.geometry.type === 'MultiLineString') return (f.geometry.coordinates || []).flat();
+        return [];
+      };
+      const segLen = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+      const lengths = routeGeo.features.map(f => {
+        const c = lineOf(f);
+        let len = 0;
+        for (let i = 1; i < c.length; i++) len += segLen(c[i - 1], c[i]);
+        return len;
+      });
+      const total = lengths.reduce((a, b) => a + b, 0);
+      if (!total) return resolve();
+
+      const start = performance.now();
+      const frame = (now) => {
+        if (!yearPlayback.playing) return resolve();
+        const t = Math.min(1, (now - start) / durationMs);
+        let budget = total * t;
+        const features = [];
+        routeGeo.features.forEach((f, idx) => {
+          if (budget <= 0) return;
+          const c = lineOf(f);
+          if (lengths[idx] <= budget || c.length < 2) {
+            features.push(f);
+            budget -= lengths[idx];
+            return;
+          }
+          // Partial feature: cut the line where the remaining budget runs out
+          const partial = [c[0]];
+          for (let i = 1; i < c.length && budget > 0; i++) {
+            const d = segLen(c[i - 1], c[i]);
+            if (d <= budget) {
+              partial.push(c[i]);
+              budget -= d;
+            } else {
+              const r = budget / d;
+              partial.push([c[i - 1][0] + (c[i][0] - c[i - 1][0]) * r, c[i - 1][1] + (c[i][1] - c[i - 1][1]) * r]);
+              budget = 0;
+            }
+          }
+          features.push({ ...f, geometry: { type: 'LineString', coordinates: partial } });
+          budget = 0;
+        });
+        try { src.setData({ type: 'FeatureCollection', features }); } catch (e) {}
+        if (t < 1) yearPlayback.animFrame = requestAnimationFrame(frame);
+        else resolve();
+      };
+      yearPlayback.animFrame = requestAnimationFrame(frame);
+    });
+  }
+
+  // Travel time against year for the current itinerary; click a point to jump to that year
+  function renderYearChart() {
+    const chartEl = container.querySelector('#mlYearChart');
+    if (!chartEl) return;
+    if (yearSeries.points.size < 2 || yearSeries.key !== getYearSeriesKey()) {
+      chartEl.innerHTML = '';
+      chartEl.style.display = 'none';
+      return;
+    }
+
+    const width = 300;
+    const height = 110;
+    const pad = { top: 8, right: 8, bottom: 18, left: 34 };
+    const years = Array.from(yearSeries.points.keys()).sort((a, b) => a - b);
+    const maxMins = Math.max(...years.map(y => yearSeries.points.get(y).mins)) || 1;
+    const x = (year) => pad.left + ((year - minYear) / (maxYear - minYear)) * (width - pad.left - pad.right);
+    const y = (mins) => pad.top + (1 - mins / maxMins) * (height - pad.top - pad.bottom);
+    const hours = Math.round(maxMins / 60);
+
+    const path = years.map((yr, i) => `${i ? 'L' : 'M'}${x(yr).toFixed(1)},${y(yearSeries.points.get(yr).mins).toFixed(1)}`).join(' ');
+    const dots = years.map(yr => {
+      const pt = yearSeries.points.get(yr);
+      return `<circle class="ml-year-chart-dot${pt.rail ? ' ml-year-chart-dot-rail' : ''}" data-year="${yr}" cx="${x(yr).toFixed(1)}" cy="${y(pt.mins).toFixed(1)}" r="3"><title>${yr}: ${escapeHtml(String(formatCostMinutes(pt.mins)))}</title></circle>`;
+    }).join('');
+    const cur = state.settings.year;
+
+    chartEl.style.display = 'block';
+    chartEl.innerHTML = `
+    <div class="ml-year-chart-title">Travel time by year <span class="ml-year-chart-legend"><span class="ml-year-chart-dot-rail-key"></span> uses railway</span></div>
+    <svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Travel time by year">
+    <line class="ml-year-chart-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" />
+    <line class="ml-year-chart-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" />
+    <text class="ml-year-chart-tick" x="${pad.left}" y="${height - 4}" text-anchor="start">${minYear}</text>
+    <text class="ml-year-chart-tick" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${maxYear}</text>
+    <text class="ml-year-chart-tick" x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end">${hours}h</text>
+    <text class="ml-year-chart-tick" x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end">0</text>
+    <line class="ml-year-chart-current" x1="${x(cur).toFixed(1)}" y1="${pad.top}" x2="${x(cur).toFixed(1)}" y2="${height - pad.bottom}" />
+    <path class="ml-year-chart-line" d="${path}" />
+    ${dots}
+    </svg>`;
+
+    chartEl.querySelectorAll('.ml-year-chart-dot').forEach(dot => {
+      dot.addEventListener('click', () => {
+        stopYearPlayback();
+        setYear(Number(dot.dataset.year));
+        fetchAndRenderRouteIfReady().catch(console.error);
+      });
+    });
+  }
+
   async function fetchAndRenderRouteIfReady() {
+    // Every selection/settings change ends up here, so keep the permalink in sync
+    syncUrlState();
+    scheduleIsochroneUpdate();
+    scheduleNetworkUpdate();
+    refreshLineBrowser();
+
     if (!selected.source || !selected.target) {
+      currentRoutes = [];
       try {
         if (map.getSource('search-route')) map.getSource('search-route').setData({ type: 'FeatureCollection', features: [] });
         if (map.getSource('search-route-ends')) map.getSource('search-route-ends').setData({ type: 'FeatureCollection', features: [] });
       } catch (e) {}
       await updateSidebarForRoute(null);
+      renderYearChart();
       return;
     }
-    const sid = selected.source.properties.id;
-    const tid = selected.target.properties.id;
-    if (!sid || !tid) return;
-    const year = (state.settings && state.settings.year) ?  Number(state.settings.year) : 1914;
-    const url = `${apiBase}/v2/route?source=${encodeURIComponent(sid)}&target=${encodeURIComponent(tid)}&year=${encodeURIComponent(year)}`;
+    // Unfilled intermediate stops are skipped
+    const stops = getOrderedRoles().map(r => selected[r]).filter(Boolean);
+    if (stops.some(f => !f.properties.id)) return;
 
     try {
-      const res = await fetch(url, { cache: 'no-store' });
-      if (!res.ok) throw new Error('Route fetch failed: ' + res.status);
-      const routeGeo = await res.json();
+      const showAlternatives = !!state.settings.showAlternatives;
+      const criterion = getCriterion();
+      const routeGeo = await fetchItinerary(stops, {
+        alternatives: (showAlternatives || criterion !== 'fastest') ? maxAlternatives : 0,
+        departure: getDepartureDate()
+      });
+
+      // When the router ignored the criterion, pick the best of several candidates here instead
+      const routerRanked = routeGeo.ml_criterion === criterion;
+      let alternatives = [];
+      if ((showAlternatives || !routerRanked) && routeGeo.features.length) {
+        alternatives = routeGeo.ml_alternatives.length
+        ? routeGeo.ml_alternatives
+        : await deriveAlternatives(routeGeo, stops);
+        const exclude = routeCriteria[criterion].exclude;
+        if (!routerRanked && exclude) {
+          const avoiding = await fetchItinerary(stops, {
+            excludeModes: exclude.map(mode => modeNameToInt[mode]),
+            departure: getDepartureDate()
+          }).catch(() => null);
+          alternatives = uniqueRoutes(routeGeo, [avoiding, ...alternatives]);
+        }
+      }
+
+      const ranked = routerRanked
+      ? [routeGeo, ...rankRoutes(alternatives)]
+      : rankRoutes([routeGeo, ...alternatives]);
+      ranked[0].ml_ranking = { criterion, local: !routerRanked && ranked.length > 1 };
+      currentRoutes = showAlternatives ? ranked.slice(0, maxAlternatives + 1) : ranked.slice(0, 1);
+      recordYearPoint(state.settings.year, currentRoutes[0]);
+      await renderCurrentRoutes();
+    } catch (err) {
+      console.error('Failed to fetch/render route:', err && err.message ? err.message : err);
+      await updateSidebarForRoute(null);
+      showRouteError(err);
+    }
+  }
+
+  // Render currentRoutes[0] as the primary route and any further entries as muted alternatives.
+  // Alternatives share the 'search-route' source and are told apart by their ml_alt index.
+  async function renderCurrentRoutes(renderOpts = {}) {
+    const routeGeo = currentRoutes[0];
+    if (!routeGeo) return;
+    try {
       window.__lastRouteGeo = routeGeo;
-      if (!routeGeo || !Array.isArray(routeGeo.features)) throw new Error('Invalid route GeoJSON');
 
       const palette = ['#1a73e8', '#d32f2f', '#2e7d32', '#fbc02d', '#6a1b9a', '#fb8c00', '#1e88e5', '#ec407a'];
       const tramKeys = [];
@@ -1676,35 +3457,29 @@ export default async function initSearchControl(map, opts = {}) {
       const shuffled = shuffle(palette.slice());
       const lineColorMap = {};
       tramKeys.forEach((k, i) => { lineColorMap[k] = shuffled[i % shuffled.length]; });
-      routeGeo.features.forEach((f, idx) => {
-        const props = f.properties || {};
-        // Map integer to canonical mode string
-        const modeInt = Number(props.mode);
-        const modeName = modeIntToName[modeInt] || '';
-        props.ml_mode_int = modeInt;
-        props.ml_mode_lower = modeName; // For map styling and sidebar
-        let apiColour = props.colour;
-        if (!apiColour || /^\s*$/.test(apiColour)) {
-          apiColour = '#000000';
-        }
-        props.ml_color = apiColour;
-        props.ml_sidebar_color = apiColour;
-        f.properties = props;
-      });
+      currentRoutes.forEach((r, altIdx) => r.features.forEach((f) => {
+        f.properties = enrichSegmentProps(f.properties || {});
+        f.properties.ml_alt = altIdx;
+      }));
+
+      const mapData = {
+        type: 'FeatureCollection',
+        features: currentRoutes.flatMap(r => r.features)
+      };
 
       ensureRailPatterns();
 
       try {
         if (map.getSource('search-route')) {
-          map.getSource('search-route').setData(routeGeo);
+          map.getSource('search-route').setData(mapData);
         } else {
-          map.addSource('search-route', { type: 'geojson', data: routeGeo });
+          map.addSource('search-route', { type: 'geojson', data: mapData });
         }
       } catch (err) {
         console.error('Failed to add/update search-route source:', err && err.message ? err.message : err);
         try { if (map.getLayer('search-route-line-fallback')) map.removeLayer('search-route-line-fallback'); } catch (_) {}
         try { if (map.getSource('search-route')) map.removeSource('search-route'); } catch (_) {}
-        try { map.addSource('search-route', { type: 'geojson', data: routeGeo }); } catch (err2) {
+        try { map.addSource('search-route', { type: 'geojson', data: mapData }); } catch (err2) {
           console.error('Fatal: could not add search-route source:', err2 && err2.message ? err2.message : err2);
           throw err2;
         }
@@ -1766,6 +3541,7 @@ export default async function initSearchControl(map, opts = {}) {
         console.warn('Failed to add/update search-route-ends source:', err);
       }
 
+      try { if (map.getLayer('search-route-alt-line')) map.removeLayer('search-route-alt-line'); } catch (_) {}
       try { if (map.getLayer('search-route-line-base')) map.removeLayer('search-route-line-base'); } catch (_) {}
       try { if (map.getLayer('search-route-road-outline')) map.removeLayer('search-route-road-outline'); } catch (_) {}
       try { if (map.getLayer('search-route-rail-symbol')) map.removeLayer('search-route-rail-symbol'); } catch (_) {}
@@ -1773,14 +3549,31 @@ export default async function initSearchControl(map, opts = {}) {
       try { if (map.getLayer('search-route-line-fallback')) map.removeLayer('search-route-line-fallback'); } catch (_) {}
       try { if (map.getLayer('search-route-ends-circle')) map.removeLayer('search-route-ends-circle'); } catch (_) {}
 
-      let addedComplexLayers = false;
-      try {
+      // Primary route layers only draw ml_alt 0; alternatives get one muted layer underneath
+      const isPrimary = ['==', ['get', 'ml_alt'], 0];
+
+      let addedComplexLayers = false;
+      try {
+        // 0) Alternatives: muted gray, below the primary route
+        map.addLayer({
+          id: 'search-route-alt-line',
+          type: 'line',
+          source: 'search-route',
+          filter: ['!=', ['get', 'ml_alt'], 0],
+          layout: { 'line-join': 'round', 'line-cap': 'round' },
+          paint: {
+            'line-color': '#7d8590',
+            'line-width': 4,
+            'line-opacity': 0.55
+          }
+        }, 'nodes-label');
+
         // 1) Dark casing for road/chaussee (slightly wider)
         map.addLayer({
           id: 'search-route-road-outline',
           type: 'line',
           source: 'search-route',
-          filter: ['in', ['get', 'ml_mode_lower'], ['literal', ['road', 'chaussee']]],
+          filter: ['all', isPrimary, ['in', ['get', 'ml_mode_lower'], ['literal', ['road', 'chaussee']]]],
           layout: { 'line-join': 'round', 'line-cap': 'round' },
           paint: {
             'line-color': '#000000',
@@ -1794,6 +3587,7 @@ export default async function initSearchControl(map, opts = {}) {
           id: 'search-route-line-base',
           type: 'line',
           source: 'search-route',
+          filter: isPrimary,
           layout: { 'line-join': 'round', 'line-cap': 'round' },
           paint: {
             'line-color': ['coalesce', ['get', 'ml_color'], '#000000'],
@@ -1820,7 +3614,7 @@ export default async function initSearchControl(map, opts = {}) {
             id: 'search-route-rail-symbol',
             type: 'symbol',
             source: 'search-route',
-            filter: ['==', ['get', 'ml_mode_lower'], 'railway'],
+            filter: ['all', isPrimary, ['==', ['get', 'ml_mode_lower'], 'railway']],
             layout: {
               'symbol-placement': 'line',
               'symbol-spacing': 8,
@@ -1836,7 +3630,7 @@ export default async function initSearchControl(map, opts = {}) {
             id: 'search-route-rail-symbol',
             type: 'line',
             source: 'search-route',
-            filter: ['==', ['get', 'ml_mode_lower'], 'railway'],
+            filter: ['all', isPrimary, ['==', ['get', 'ml_mode_lower'], 'railway']],
             layout: { 'line-join': 'round', 'line-cap': 'butt' },
             paint: { 'line-color': '#ffffff', 'line-width': 5, 'line-dasharray': ['literal', [4, 4]], 'line-opacity': 1 }
           });
@@ -1847,7 +3641,7 @@ export default async function initSearchControl(map, opts = {}) {
             id: 'search-route-rail-narrow-symbol',
             type: 'symbol',
             source: 'search-route',
-            filter: ['==', ['get', 'ml_mode_lower'], 'narrow-gauge railway'],
+            filter: ['all', isPrimary, ['==', ['get', 'ml_mode_lower'], 'narrow-gauge railway']],
             layout: {
               'symbol-placement': 'line',
               'symbol-spacing': 6,
@@ -1863,7 +3657,7 @@ export default async function initSearchControl(map, opts = {}) {
             id: 'search-route-rail-narrow-symbol',
             type: 'line',
             source: 'search-route',
-            filter: ['==', ['get', 'ml_mode_lower'], 'narrow-gauge railway'],
+            filter: ['all', isPrimary, ['==', ['get', 'ml_mode_lower'], 'narrow-gauge railway']],
             layout: { 'line-join': 'round', 'line-cap': 'butt' },
             paint: { 'line-color': '#ffffff', 'line-width': 4, 'line-dasharray': ['literal', [3, 3]], 'line-opacity': 1 }
           });
@@ -1896,6 +3690,7 @@ export default async function initSearchControl(map, opts = {}) {
             id: 'search-route-line-fallback',
             type: 'line',
             source: 'search-route',
+            filter: isPrimary,
             layout: { 'line-join': 'round', 'line-cap': 'round' },
             paint: { 'line-color': '#1a73e8', 'line-width': 4, 'line-opacity': 0.9 }
           });
@@ -1904,38 +3699,76 @@ export default async function initSearchControl(map, opts = {}) {
         }
       }
 
-      try { fitBoundsForGeoJSON(routeGeo); } catch (e) {}
+      // A camera restored from the permalink wins over the automatic fit
+      if (skipNextRouteFit) {
+        skipNextRouteFit = false;
+      } else if (renderOpts.fit !== false) {
+        try { fitBoundsForGeoJSON(mapData); } catch (e) {}
+      }
 
       await updateSidebarForRoute(routeGeo);
-
     } catch (err) {
-      console.error('Failed to fetch/render route:', err && err.message ? err.message : err);
+      console.error('Failed to render route:', err && err.message ? err.message : err);
       await updateSidebarForRoute(null);
     }
   }
 
+  // Add the ml_* styling properties shared by the route and network layers to an API segment
+  function enrichSegmentProps(props) {
+    // Map integer to canonical mode string
+    const modeInt = Number(props.mode);
+    const modeName = modeIntToName[modeInt] || '';
+    props.ml_mode_int = modeInt;
+    props.ml_mode_lower = modeName; // For map styling and sidebar
+    let apiColour = props.colour;
+    if (!apiColour || /^\s*$/.test(apiColour)) {
+      apiColour = '#000000';
+    }
+    props.ml_color = apiColour;
+    props.ml_sidebar_color = apiColour;
+    return props;
+  }
+
   function selectForRole(role, index) {
     const st = state[role];
     const r = st.lastResults[index];
     if (!r) return;
     const feat = r.item || r;
-    setSelectedFeature(role, feat);
+    setSelectedFeature(role, feat, r.ml_point ? { coordinates: r.ml_point, km: r.ml_distance_km } : null);
     st.suggestionsEl.innerHTML = '';
     st.lastResults = [];
     st.activeIndex = -1;
     st.suggestionsEl.removeAttribute('aria-activedescendant');
     st.suggestionsEl.setAttribute('aria-expanded', 'false');
 
-    if (role === 'source' && !selected.target) {
-      setTimeout(() => { state.target.input.focus(); }, 0);
-    } else if (role === 'target' && !selected.source) {
-      setTimeout(() => { state.source.input.focus(); }, 0);
+    const nextRole = getNextEmptyRole(role);
+    if (nextRole) {
+      setTimeout(() => { state[nextRole].input.focus(); }, 0);
     }
 
     fetchAndRenderRouteIfReady().catch(console.error);
   }
 
-  ['source', 'target'].forEach(role => {
+  // First unselected stop after `role` (wrapping around), or null when every stop is set
+  function getNextEmptyRole(role) {
+    const roles = getOrderedRoles();
+    const start = roles.indexOf(role);
+    for (let i = 1; i < roles.length; i++) {
+      const r = roles[(start + i) % roles.length];
+      if (!selected[r]) return r;
+    }
+    return null;
+  }
+
+  function allStopsSelected() {
+    return getOrderedRoles().every(r => !!selected[r]);
+  }
+
+  function clearActiveInputs() {
+    getOrderedRoles().forEach(r => state[r].input.classList.remove('active'));
+  }
+
+  function wireRoleInput(role) {
     const st = state[role];
 
     st.suggestionsEl.setAttribute('role', 'listbox');
@@ -1943,9 +3776,8 @@ export default async function initSearchControl(map, opts = {}) {
 
     st.input.addEventListener('focus', () => {
       activeRole = role;
+      clearActiveInputs();
       st.input.classList.add('active');
-      const other = (role === 'source') ? state.target.input : state.source.input;
-      other.classList.remove('active');
       updateMapCursor();
     });
 
@@ -1956,8 +3788,7 @@ export default async function initSearchControl(map, opts = {}) {
 
         if (!container.contains(activeEl) && !isMapCanvas) {
           activeRole = null;
-          state.source.input.classList.remove('active');
-          state.target.input.classList.remove('active');
+          clearActiveInputs();
           updateMapCursor();
         }
       }, 150);
@@ -1994,10 +3825,9 @@ export default async function initSearchControl(map, opts = {}) {
         }
 
         // Clear active state after selection via keyboard
-        if (selected.source && selected.target) {
+        if (allStopsSelected()) {
           activeRole = null;
-          state.source.input.classList.remove('active');
-          state.target.input.classList.remove('active');
+          clearActiveInputs();
           updateMapCursor();
           st.input.blur(); // Remove focus to deactivate the input
         }
@@ -2026,51 +3856,365 @@ export default async function initSearchControl(map, opts = {}) {
         }
       }
     });
-  });
+  }
+
+  wireRoleInput('source');
+  wireRoleInput('target');
+
+  // ---- Intermediate stops (via points) ----
+  const viaListEl = container.querySelector('#mlViaList');
+  const addStopBtn = container.querySelector('#mlAddStopBtn');
+  let draggedViaRole = null;
+
+  function addViaStop(feat) {
+    if (!viaListEl) return null;
+    viaCounter += 1;
+    const role = `via${viaCounter}`;
+
+    const row = document.createElement('div');
+    row.className = 'search-col ml-via-row';
+    row.dataset.role = role;
+    row.innerHTML = `
+    <div class="ml-via-controls">
+    <span class="ml-via-handle" draggable="true" title="Drag to reorder" aria-hidden="true">⋮⋮</span>
+    <div class="ml-input-wrapper">
+    <input class="ml-input" placeholder="Search stop..." autocomplete="off" title="A place name, or coordinates such as 41.0123, 28.9784 (long-press the map to use a point)" aria-label="Intermediate stop" />
+    <button type="button" class="ml-input-clear" aria-label="Clear stop" style="display:none;">×</button>
+    </div>
+    <button type="button" class="ml-via-remove" aria-label="Remove stop" title="Remove stop">−</button>
+    </div>
+    <div class="suggestions" role="listbox" aria-expanded="false"></div>
+    `;
+    viaListEl.appendChild(row);
+
+    const input = row.querySelector('.ml-input');
+    const clearBtn = row.querySelector('.ml-input-clear');
+    const removeBtn = row.querySelector('.ml-via-remove');
+    const handle = row.querySelector('.ml-via-handle');
+
+    viaRoles.push(role);
+    selected[role] = null;
+    state[role] = {
+      input,
+      suggestionsEl: row.querySelector('.suggestions'),
+      clearBtn,
+      rowEl: row,
+      lastResults: [],
+      activeIndex: -1,
+      debounce: null,
+      selectableIndices: []
+    };
+    wireRoleInput(role);
+
+    clearBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setSelectedFeature(role, null);
+      state[role].lastResults = [];
+      state[role].suggestionsEl.innerHTML = '';
+      updateClearButtonVisibility(role);
+      fetchAndRenderRouteIfReady().catch(console.error);
+      setTimeout(() => input.focus(), 0);
+    });
+
+    removeBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      removeViaStop(role);
+    });
+
+    // Drag-and-drop reordering: the handle is the drag source, the whole row is a drop target
+    handle.addEventListener('dragstart', (e) => {
+      draggedViaRole = role;
+      row.classList.add('ml-via-dragging');
+      try {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', role);
+        e.dataTransfer.setDragImage(row, 10, 10);
+      } catch (err) {}
+    });
+    handle.addEventListener('dragend', () => {
+      draggedViaRole = null;
+      row.classList.remove('ml-via-dragging');
+      viaRoles.forEach(r => state[r].rowEl.classList.remove('ml-via-drop-before', 'ml-via-drop-after'));
+    });
+    row.addEventListener('dragover', (e) => {
+      if (!draggedViaRole || draggedViaRole === role) return;
+      e.preventDefault();
+      const rect = row.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      row.classList.toggle('ml-via-drop-after', after);
+      row.classList.toggle('ml-via-drop-before', !after);
+    });
+    row.addEventListener('dragleave', () => {
+      row.classList.remove('ml-via-drop-before', 'ml-via-drop-after');
+    });
+    row.addEventListener('drop', (e) => {
+      if (!draggedViaRole || draggedViaRole === role) return;
+      e.preventDefault();
+      const after = row.classList.contains('ml-via-drop-after');
+      row.classList.remove('ml-via-drop-before', 'ml-via-drop-after');
+      moveViaStop(draggedViaRole, role, after);
+    });
+
+    if (feat) setSelectedFeature(role, feat);
+    updateClearButtonVisibility(role);
+    requestAnimationFrame(positionToggleExpanded);
+    return role;
+  }
+
+  function removeViaStop(role) {
+    const idx = viaRoles.indexOf(role);
+    if (idx === -1) return;
+    const st = state[role];
+    const hadSelection = !!selected[role];
+    if (st.debounce) clearTimeout(st.debounce);
+    viaRoles.splice(idx, 1);
+    st.rowEl.remove();
+    delete state[role];
+    delete selected[role];
+    delete accessLegs[role];
+    if (activeRole === role) {
+      activeRole = null;
+      updateMapCursor();
+    }
+    updateSelectedSource();
+    requestAnimationFrame(positionToggleExpanded);
+    if (hadSelection) fetchAndRenderRouteIfReady().catch(console.error);
+  }
+
+  // Move the via stop `role` before (or after) `refRole` and refetch the itinerary
+  function moveViaStop(role, refRole, after) {
+    const from = viaRoles.indexOf(role);
+    if (from === -1 || !viaRoles.includes(refRole)) return;
+    viaRoles.splice(from, 1);
+    const refIdx = viaRoles.indexOf(refRole);
+    viaRoles.splice(after ? refIdx + 1 : refIdx, 0, role);
+    viaRoles.forEach(r => viaListEl.appendChild(state[r].rowEl));
+    updateSelectedSource();
+    fetchAndRenderRouteIfReady().catch(console.error);
+  }
+
+  if (addStopBtn) {
+    addStopBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const role = addViaStop();
+      if (role) setTimeout(() => state[role].input.focus(), 0);
+    });
+  }
 
   document.addEventListener('click', (ev) => {
     if (!container.contains(ev.target)) {
-      sourceSug.innerHTML = '';
-      targetSug.innerHTML = '';
-      state.source.lastResults = [];
-      state.target.lastResults = [];
-      state.source.activeIndex = -1;
-      state.target.activeIndex = -1;
+      getOrderedRoles().forEach(r => {
+        const st = state[r];
+        st.suggestionsEl.innerHTML = '';
+        st.lastResults = [];
+        st.activeIndex = -1;
+        st.suggestionsEl.removeAttribute('aria-activedescendant');
+      });
       activeRole = null;
-      state.source.input.classList.remove('active');
-      state.target.input.classList.remove('active');
-      sourceSug.removeAttribute('aria-activedescendant');
-      targetSug.removeAttribute('aria-activedescendant');
+      clearActiveInputs();
     }
   });
 
-  map.on('click', (ev) => {
-    if (!activeRole) {
-      return;
+  // ---- Node hit-testing, hover and click popups ----
+  // Tolerance is in screen pixels so picking behaves the same at every zoom and latitude
+  const nodeHitTolerancePx = Number(opts.nodeHitTolerance) || 8;
+  const nodeQueryLayers = ['nodes-symbol', 'nodes-label', 'nodes-isochrone'];
+
+  // Node (from allFeatures) under a screen point, or null. Rendered features come first. On click
+  // (findOpts.hidden) nodes hidden by label collision are found too, by projecting the ones inside
+  // the tolerance box; hovering only uses the rendered query.
+  function findNodeAtPoint(point, findOpts = {}) {
+    const tol = nodeHitTolerancePx;
+    const distTo = (feat) => {
+      const p = map.project(feat.geometry.coordinates);
+      return Math.hypot(p.x - point.x, p.y - point.y);
+    };
+    // Any rendered hit counts (labels sit below their node), the closest node wins
+    const nearest = (feats) => {
+      let best = null;
+      let bestDist = Infinity;
+      feats.forEach(feat => {
+        if (!feat || !feat.geometry || feat.geometry.type !== 'Point') return;
+        const d = distTo(feat);
+        if (d < bestDist) {
+          bestDist = d;
+          best = feat;
+        }
+      });
+      return best;
+    };
+
+    try {
+      const layers = nodeQueryLayers.filter(id => map.getLayer(id));
+      if (layers.length) {
+        const rendered = map.queryRenderedFeatures(
+          [[point.x - tol, point.y - tol], [point.x + tol, point.y + tol]],
+          { layers }
+        );
+        const hit = nearest(rendered
+        .map(f => getNodeOriginalFeature((f.properties && f.properties.id) ?? f.id))
+        .filter(Boolean));
+        if (hit) return hit;
+      }
+    } catch (e) {
+      console.warn('queryRenderedFeatures failed:', e && e.message ? e.message : e);
     }
 
-    // Convert click point to lng/lat
-    const clickLngLat = ev.lngLat;
+    if (!findOpts.hidden) return null;
+    const corners = [[point.x - tol, point.y - tol], [point.x + tol, point.y + tol]].map(p => map.unproject(p));
+    const west = Math.min(corners[0].lng, corners[1].lng);
+    const east = Math.max(corners[0].lng, corners[1].lng);
+    const south = Math.min(corners[0].lat, corners[1].lat);
+    const north = Math.max(corners[0].lat, corners[1].lat);
+    let best = null;
+    let bestDist = tol;
+    allFeatures.forEach(feat => {
+      if (!feat.geometry || feat.geometry.type !== 'Point') return;
+      const [lng, lat] = feat.geometry.coordinates;
+      if (lng < west || lng > east || lat < south || lat > north) return;
+      const d = distTo(feat);
+      if (d <= bestDist) {
+        bestDist = d;
+        best = feat;
+      }
+    });
+    return best;
+  }
+
+  function nodePopupHtml(feat) {
+    const nodeId = feat.properties.id;
+    return renderNodePopupHtml({
+      name: getPreferredNodeName(nodeId),
+      ota: feat.properties.ota || '',
+      rankText: rankLabelMap[getNodeRank(nodeId)] || ''
+    });
+  }
+
+  const hoverPopup = new maplibregl.Popup({
+    closeButton: false,
+    closeOnClick: false,
+    className: 'ml-node-popup',
+    offset: 10
+  });
+  const clickPopup = new maplibregl.Popup({
+    closeButton: true,
+    closeOnClick: true,
+    className: 'ml-node-popup',
+    offset: 10
+  });
+  let hoverNodeId = null;
+  let hoverFrame = null;
+
+  function clearHover() {
+    hoverNodeId = null;
+    hoverPopup.remove();
+    updateMapCursor();
+  }
+
+  map.on('mousemove', (ev) => {
+    if (hoverFrame) return;
+    hoverFrame = requestAnimationFrame(() => {
+      hoverFrame = null;
+      const feat = findNodeAtPoint(ev.point);
+      if (!feat) {
+        if (hoverNodeId !== null) clearHover();
+        return;
+      }
+      if (!activeRole) map.getCanvas().style.cursor = 'pointer';
+      if (String(feat.properties.id) === hoverNodeId) return;
+      hoverNodeId = String(feat.properties.id);
+      hoverPopup
+      .setLngLat(feat.geometry.coordinates)
+      .setHTML(nodePopupHtml(feat))
+      .addTo(map);
+    });
+  });
+  map.on('mouseout', clearHover);
+
+  // ---- Long-press: the nodes nearest to a point ----
+  // Holding a finger or the mouse button still on the map puts the point's coordinates in the stop
+  // being picked (or the first empty one) and lists the nearest nodes, as if they had been typed
+  const longPressMs = 600;
+  // How long after the release the click ending a long-press may come; touch browsers send none
+  const longPressClickMs = 400;
+  const longPress = { timer: null, start: null, fired: false, clearTimer: null };
+
+  function cancelLongPress() {
+    if (longPress.timer) clearTimeout(longPress.timer);
+    longPress.timer = null;
+  }
+
+  function releaseLongPress() {
+    cancelLongPress();
+    if (!longPress.fired) return;
+    if (longPress.clearTimer) clearTimeout(longPress.clearTimer);
+    longPress.clearTimer = setTimeout(() => {
+      longPress.clearTimer = null;
+      longPress.fired = false;
+    }, longPressClickMs);
+  }
+
+  function startLongPress(ev) {
+    cancelLongPress();
+    longPress.fired = false;
+    const oe = ev.originalEvent;
+    if (oe && ((oe.touches && oe.touches.length > 1) || oe.button > 0)) return;
+    longPress.start = ev.point;
+    longPress.timer = setTimeout(() => {
+      longPress.timer = null;
+      longPress.fired = true;
+      searchNearPoint(ev.lngLat.wrap());
+    }, longPressMs);
+  }
+
+  function moveLongPress(ev) {
+    if (longPress.timer && longPress.start && ev.point.dist(longPress.start) > 6) cancelLongPress();
+  }
 
-    // Find nearest feature within tolerance by distance calculation
-    const clickTolerance = 0.006; // degrees (0.001 is roughly 100m at equator)
+  function searchNearPoint(lngLat) {
+    const role = activeRole && state[activeRole] ? activeRole : (getOrderedRoles().find(r => !selected[r]) || 'target');
+    const st = state[role];
+    const text = `${lngLat.lat.toFixed(5)}, ${lngLat.lng.toFixed(5)}`;
+    clickPopup.remove();
+    clearHover();
+    st.input.value = text;
+    updateClearButtonVisibility(role);
+    st.input.focus();
+    searchForRole(role, text);
+  }
 
-  let nearestFeature = null;
-  let nearestDistance = Infinity;
+  map.on('mousedown', startLongPress);
+  map.on('touchstart', startLongPress);
+  map.on('mousemove', moveLongPress);
+  map.on('touchmove', moveLongPress);
+  ['mouseup', 'touchend', 'touchcancel'].forEach(type => map.on(type, releaseLongPress));
+  ['dragstart', 'zoomstart'].forEach(type => map.on(type, cancelLongPress));
 
-  allFeatures.forEach(feat => {
-    if (!feat.geometry || feat.geometry.type !== 'Point') return;
+  map.on('click', (ev) => {
+    // The click ending a long-press neither picks a node nor closes the suggestions it opened
+    if (longPress.fired) {
+      longPress.fired = false;
+      if (ev.originalEvent) ev.originalEvent.stopPropagation();
+      return;
+    }
 
-    const [lng, lat] = feat.geometry.coordinates;
-    const dx = lng - clickLngLat.lng;
-    const dy = lat - clickLngLat.lat;
-    const dist = Math.sqrt(dx * dx + dy * dy);
+    const nearestFeature = findNodeAtPoint(ev.point, { hidden: true });
 
-    if (dist < clickTolerance && dist < nearestDistance) {
-      nearestDistance = dist;
-      nearestFeature = feat;
+    // No stop being picked: a click on a node pins its popup and shows its details
+    if (!activeRole) {
+      if (nearestFeature) {
+        clearHover();
+        clickPopup
+        .setLngLat(nearestFeature.geometry.coordinates)
+        .setHTML(nodePopupHtml(nearestFeature))
+        .addTo(map);
+        openNodePanel(nearestFeature.properties.id);
+      }
+      return;
     }
-  });
 
   if (!nearestFeature) {
     // Keep the search box focused and activeRole set so user can try again
@@ -2084,9 +4228,11 @@ export default async function initSearchControl(map, opts = {}) {
 
   const nodeId = nearestFeature.properties.id;
 
-  // Don't allow selecting the same node twice
-  const otherRole = activeRole === 'source' ? 'target' : 'source';
-  if (selected[otherRole] && String(selected[otherRole].properties.id) === String(nodeId)) {
+  // Don't allow selecting the same node for two consecutive stops
+  const orderedRoles = getOrderedRoles();
+  const roleIdx = orderedRoles.indexOf(activeRole);
+  const neighbourRoles = [orderedRoles[roleIdx - 1], orderedRoles[roleIdx + 1]].filter(Boolean);
+  if (neighbourRoles.some(r => selected[r] && String(selected[r].properties.id) === String(nodeId))) {
     // Keep the search box focused and activeRole set so user can try again
     const currentInput = state[activeRole].input;
     setTimeout(() => {
@@ -2102,21 +4248,16 @@ export default async function initSearchControl(map, opts = {}) {
   state[currentRole].lastResults = [];
   state[currentRole].activeIndex = -1;
 
-  if (activeRole === 'source' && !selected.target) {
+  const nextRole = getNextEmptyRole(currentRole);
+  if (nextRole) {
     setTimeout(() => {
-      state.target.input.focus();
-      updateMapCursor();
-    }, 0);
-  } else if (activeRole === 'target' && !selected.source) {
-    setTimeout(() => {
-      state.source.input.focus();
+      state[nextRole].input.focus();
       updateMapCursor();
     }, 0);
   } else {
-    // If both are selected, clear activeRole and reset cursor
+    // If every stop is selected, clear activeRole and reset cursor
     activeRole = null;
-    state.source.input.classList.remove('active');
-    state.target.input.classList.remove('active');
+    clearActiveInputs();
     updateMapCursor();
   }
 
@@ -2125,8 +4266,497 @@ export default async function initSearchControl(map, opts = {}) {
   fetchAndRenderRouteIfReady().catch(console.error);
   });
 
+  // ---- Node detail panel ----
+  // Opens for any node clicked on the map (when no stop is being picked) or in the itinerary
+
+  let nodePanelEl = null;
+  let nodePanelToken = 0;
+
+  function ensureNodePanel() {
+    if (nodePanelEl) return nodePanelEl;
+    nodePanelEl = document.createElement('div');
+    nodePanelEl.className = 'ml-node-panel';
+    nodePanelEl.setAttribute('role', 'dialog');
+    nodePanelEl.setAttribute('aria-label', 'Node details');
+    nodePanelEl.style.display = 'none';
+    (map.getContainer() || document.body).appendChild(nodePanelEl);
+
+    nodePanelEl.addEventListener('click', (ev) => {
+      const btn = ev.target.closest('button');
+      if (!btn) return;
+      const nodeId = nodePanelEl.dataset.nodeId;
+      if (btn.dataset.action === 'close') closeNodePanel();
+      else if (btn.dataset.action === 'from') routeFromPanel('source', nodeId);
+      else if (btn.dataset.action === 'to') routeFromPanel('target', nodeId);
+      else if (btn.dataset.lineId) openLine(btn.dataset.lineId);
+      else if (btn.dataset.nodeId) openNodePanel(btn.dataset.nodeId);
+    });
+    nodePanelEl.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Escape') closeNodePanel();
+    });
+    return nodePanelEl;
+  }
+
+  function closeNodePanel() {
+    nodePanelToken++;
+    if (nodePanelEl) nodePanelEl.style.display = 'none';
+  }
+
+  function buildNodePanelModel(nodeId, apiNames, lines) {
+    const feat = getNodeOriginalFeature(nodeId);
+    const props = (feat && feat.properties) || {};
+    const name = getPreferredNodeName(nodeId);
+
+    // Local names (other features sharing the id) have no language; the API ones do
+    const names = [];
+    if (props.ota) names.push({ name: props.ota, iso639: 'ota' });
+    getNodeAlternateNames(nodeId, name).forEach(n => names.push({ name: n }));
+    (apiNames || []).forEach(n => names.push(n));
+
+    const parentId = props.cluster;
+    const hasParent = parentId !== null && parentId !== undefined && parentId !== '';
+    const clusterParent = hasParent ? { id: parentId, name: getPreferredNodeName(parentId) } : null;
+    const memberIds = [];
+    allFeatures.forEach(f => {
+      const p = f.properties || {};
+      if (p.cluster === null || p.cluster === undefined || String(p.cluster) !== String(nodeId)) return;
+      if (!memberIds.includes(String(p.id))) memberIds.push(String(p.id));
+    });
+
+    return {
+      id: nodeId,
+      name,
+      ota: props.ota || '',
+      rankText: rankLabelMap[getNodeRank(nodeId)] || '',
+      nameGroups: groupNamesByLanguage(names),
+      clusterParent,
+      clusterMembers: memberIds.map(id => ({ id, name: getPreferredNodeName(id) })),
+      coordinates: feat && feat.geometry && feat.geometry.type === 'Point' ? formatCoordinates(feat.geometry.coordinates) : '',
+      year: state.settings.year,
+      lines
+    };
+  }
+
+  async function openNodePanel(nodeId) {
+    if (nodeId === undefined || nodeId === null || nodeId === '') return;
+    const el = ensureNodePanel();
+    const token = ++nodePanelToken;
+    el.dataset.nodeId = String(nodeId);
+
+    // Render local data straight away, then again once names/lines arrive
+    el.innerHTML = renderNodePanelHtml(buildNodePanelModel(nodeId, [], null));
+    el.style.display = '';
+
+    const payload = await fetchNodeLines(nodeId);
+    if (token !== nodePanelToken) return;
+    el.innerHTML = renderNodePanelHtml(buildNodePanelModel(nodeId, payload.names, payload.lines));
+  }
+
+  // "Route from/to here": fill that end of the itinerary, then let the user pick the other one
+  function routeFromPanel(role, nodeId) {
+    const feat = getNodeOriginalFeature(nodeId);
+    if (!feat) return;
+    const otherRole = role === 'source' ? 'target' : 'source';
+    if (selected[otherRole] && String(selected[otherRole].properties.id) === String(nodeId)) {
+      setSelectedFeature(otherRole, null);
+    }
+    setSelectedFeature(role, feat);
+    closeNodePanel();
+
+    if (!selected[otherRole]) {
+      setTimeout(() => {
+        state[otherRole].input.focus();
+        updateMapCursor();
+      }, 0);
+    }
+    fetchAndRenderRouteIfReady().catch(console.error);
+  }
+
+  // ---- Line browser ----
+  // Second tab next to routing: lines valid in the selected year (/v2/lines); picking one
+  // highlights its geometry and stops (/v2/lines/:id)
+
+  const lineBrowser = { lines: [], year: null, fuse: null, activeId: null, detail: null, listToken: 0, detailToken: 0 };
+  const linesTab = container.querySelector('#mlLinesTab');
+  const lineSearchBox = container.querySelector('#mlLineSearch');
+  const lineYearBox = container.querySelector('#mlLineYear');
+  const lineList = container.querySelector('#mlLineList');
+  const lineLayerIds = ['search-line-casing', 'search-line-line', 'search-line-stops-circle'];
+
+  function isLinesTabOpen() {
+    return linesTab && linesTab.style.display !== 'none';
+  }
+
+  function showTab(tab) {
+    container.querySelectorAll('.ml-tab').forEach(btn => {
+      const isActive = btn.dataset.tab === tab;
+      btn.classList.toggle('ml-tab-active', isActive);
+      btn.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+    container.classList.toggle('ml-lines-mode', tab === 'lines');
+    container.classList.toggle('ml-places-mode', tab === 'places');
+    linesTab.style.display = tab === 'lines' ? '' : 'none';
+    placesTab.style.display = tab === 'places' ? '' : 'none';
+    if (tab !== 'route') {
+      activeRole = null;
+      clearActiveInputs();
+      updateMapCursor();
+    }
+    if (tab === 'places') renderPlacesBrowser();
+    if (tab === 'lines') {
+      lineYearBox.value = String(state.settings.year);
+      if (lineBrowser.detail) highlightLine(lineBrowser.detail);
+      loadLineList().catch(console.error);
+    } else {
+      clearLineHighlight();
+    }
+  }
+
+  async function loadLineList() {
+    const year = state.settings.year;
+    if (lineBrowser.year === year) {
+      renderLineBrowser();
+      return;
+    }
+    const token = ++lineBrowser.listToken;
+    if (!lineBrowser.detail) lineList.innerHTML = '<div class="ml-lines-empty">Loading lines…</div>';
+    try {
+      const res = await fetch(`${apiBase}/v2/lines?year=${encodeURIComponent(year)}`, { cache: 'no-store' });
+      if (!res.ok) throw new Error('Fetch failed: ' + res.status);
+      const lines = parseLineList(await res.json())
+      .sort((a, b) => a.name.localeCompare(b.name));
+      if (token !== lineBrowser.listToken) return;
+      lineBrowser.lines = lines;
+      lineBrowser.year = year;
+      lineBrowser.fuse = new Fuse(lines, { keys: ['name', 'mode', 'id'], threshold: 0.33, ignoreLocation: true });
+    } catch (err) {
+      if (token !== lineBrowser.listToken) return;
+      console.warn('Failed to load lines:', err && err.message ? err.message : err);
+      if (!lineBrowser.detail) lineList.innerHTML = '<div class="ml-lines-empty">Lines unavailable</div>';
+      return;
+    }
+    // An open line is reloaded for the new year
+    if (lineBrowser.detail && lineBrowser.detail.year !== year) {
+      await openLine(lineBrowser.activeId);
+    } else {
+      renderLineBrowser();
+      // The list may bring the colour the detail response lacked
+      if (lineBrowser.detail) highlightLine(lineBrowser.detail, { fit: false });
+    }
+  }
+
+  function renderLineBrowser() {
+    if (lineBrowser.detail) {
+      const stops = lineBrowser.detail.stops.map(id => ({ id, name: getPreferredNodeName(id) }));
+      lineList.innerHTML = renderLineDetailHtml(getOpenLineInfo(), stops);
+      return;
+    }
+    const q = lineSearchBox.value.trim();
+    const lines = q && lineBrowser.fuse
+    ? lineBrowser.fuse.search(q).map(r => r.item)
+    : lineBrowser.lines;
+    lineList.innerHTML = renderLineListHtml(lines, lineBrowser.activeId);
+  }
+
+  // The open line's attributes, filling in anything the detail response leaves out from the list entry
+  function getOpenLineInfo() {
+    const listed = lineBrowser.lines.find(l => l.id === lineBrowser.activeId) || {};
+    const known = Object.fromEntries(Object.entries(lineBrowser.detail.line).filter(([, v]) => v !== null && v !== ''));
+    return { ...listed, ...known };
+  }
+
+  async function openLine(lineId) {
+    if (!isLinesTabOpen()) showTab('lines');
+    const token = ++lineBrowser.detailToken;
+    lineBrowser.activeId = String(lineId);
+    const year = state.settings.year;
+    try {
+      const res = await fetch(`${apiBase}/v2/lines/${encodeURIComponent(lineId)}?year=${encodeURIComponent(year)}`, { cache: 'no-store' });
+      if (!res.ok) throw new Error('Fetch failed: ' + res.status);
+      const detail = parseLineDetail(await res.json());
+      if (token !== lineBrowser.detailToken) return;
+      detail.year = year;
+      lineBrowser.detail = detail;
+      renderLineBrowser();
+      highlightLine(detail);
+    } catch (err) {
+      if (token !== lineBrowser.detailToken) return;
+      console.warn('Failed to load line', lineId, err && err.message ? err.message : err);
+      lineBrowser.detail = null;
+      lineBrowser.activeId = null;
+      renderLineBrowser();
+    }
+  }
+
+  function closeLine() {
+    lineBrowser.detailToken++;
+    lineBrowser.activeId = null;
+    lineBrowser.detail = null;
+    clearLineHighlight();
+    renderLineBrowser();
+  }
+
+  function highlightLine(detail, highlightOpts = {}) {
+    const colour = getOpenLineInfo().colour || '#000000';
+    const stopFeatures = detail.stops
+    .map(id => getNodeOriginalFeature(id))
+    .filter(f => f && f.geometry && f.geometry.type === 'Point')
+    .map((f, idx) => ({ type: 'Feature', geometry: f.geometry, properties: { id: f.properties.id, seq: idx + 1 } }));
+    const lineData = detail.geometry;
+    const stopData = { type: 'FeatureCollection', features: stopFeatures };
+
+    try {
+      if (map.getSource('search-line')) map.getSource('search-line').setData(lineData);
+      else map.addSource('search-line', { type: 'geojson', data: lineData });
+      if (map.getSource('search-line-stops')) map.getSource('search-line-stops').setData(stopData);
+      else map.addSource('search-line-stops', { type: 'geojson', data: stopData });
+
+      const beforeId = map.getLayer('nodes-label') ? 'nodes-label' : undefined;
+      if (!map.getLayer('search-line-casing')) {
+        map.addLayer({
+          id: 'search-line-casing',
+          type: 'line',
+          source: 'search-line',
+          layout: { 'line-join': 'round', 'line-cap': 'round' },
+          paint: { 'line-color': '#ffffff', 'line-width': 9, 'line-opacity': 0.9 }
+        }, beforeId);
+        map.addLayer({
+          id: 'search-line-line',
+          type: 'line',
+          source: 'search-line',
+          layout: { 'line-join': 'round', 'line-cap': 'round' },
+          paint: { 'line-color': colour, 'line-width': 5 }
+        }, beforeId);
+        map.addLayer({
+          id: 'search-line-stops-circle',
+          type: 'circle',
+          source: 'search-line-stops',
+          paint: {
+            'circle-color': '#ffffff',
+            'circle-radius': 5,
+            'circle-stroke-color': colour,
+            'circle-stroke-width': 2.5
+          }
+        }, beforeId);
+      } else {
+        map.setPaintProperty('search-line-line', 'line-color', colour);
+        map.setPaintProperty('search-line-stops-circle', 'circle-stroke-color', colour);
+      }
+    } catch (err) {
+      console.error('Failed to highlight line:', err && err.message ? err.message : err);
+      return;
+    }
+
+    if (highlightOpts.fit === false) return;
+    const fitData = lineData.features.length ? lineData : stopData;
+    try { fitBoundsForGeoJSON(fitData); } catch (e) {}
+  }
+
+  function clearLineHighlight() {
+    lineLayerIds.forEach(id => {
+      try { if (map.getLayer(id)) map.removeLayer(id); } catch (_) {}
+    });
+    ['search-line', 'search-line-stops'].forEach(id => {
+      try { if (map.getSource(id)) map.removeSource(id); } catch (_) {}
+    });
+  }
+
+  // Year changes go through fetchAndRenderRouteIfReady; reload the list (and open line) for the new year
+  function refreshLineBrowser() {
+    if (!isLinesTabOpen()) return;
+    if (lineYearBox.value !== String(state.settings.year)) lineYearBox.value = String(state.settings.year);
+    if (lineBrowser.year !== state.settings.year) loadLineList().catch(console.error);
+  }
+
+  // ---- Places browser ----
+  // Third tab: the administrative centres as a tree (see gazetteer.js); picking one flies to it and
+  // offers it as the start or the destination
+
+  const placesBrowser = { gazetteer: null, expanded: new Set(), activeId: null };
+  const placesTab = container.querySelector('#mlPlacesTab');
+  const placeSearchBox = container.querySelector('#mlPlaceSearch');
+  const placeSortBox = container.querySelector('#mlPlaceSort');
+  const placeList = container.querySelector('#mlPlaceList');
+
+  placeSortBox.innerHTML = Object.entries(gazetteerSorts)
+  .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+  .join('');
+
+  function renderPlacesBrowser() {
+    // Built on first use; the node set doesn't change after startup
+    if (!placesBrowser.gazetteer) placesBrowser.gazetteer = buildGazetteer(allFeatures);
+    const center = map.getCenter();
+    placeList.innerHTML = renderGazetteerHtml(placesBrowser.gazetteer, {
+      expanded: placesBrowser.expanded,
+      activeId: placesBrowser.activeId,
+      sort: placeSortBox.value,
+      center: [center.lng, center.lat],
+      query: placeSearchBox.value.trim()
+    });
+  }
+
+  function openPlace(nodeId) {
+    const entry = placesBrowser.gazetteer && placesBrowser.gazetteer.byId.get(String(nodeId));
+    const feat = getNodeOriginalFeature(nodeId);
+    if (!entry || !feat) return;
+    placesBrowser.activeId = entry.id;
+    ancestorsOf(entry).forEach(a => placesBrowser.expanded.add(a.id));
+    renderPlacesBrowser();
+    map.flyTo({ center: entry.coordinates, zoom: Math.max(map.getZoom(), zoomForRank(entry.rank)) });
+    clearHover();
+    clickPopup
+    .setLngLat(entry.coordinates)
+    .setHTML(nodePopupHtml(feat))
+    .addTo(map);
+  }
+
+  placeSearchBox.addEventListener('input', renderPlacesBrowser);
+  placeSortBox.addEventListener('change', renderPlacesBrowser);
+
+  placeList.addEventListener('click', (ev) => {
+    const target = ev.target.closest('[data-action]');
+    if (!target) return;
+    const nodeId = target.dataset.nodeId;
+    if (target.dataset.action === 'toggle') {
+      if (placesBrowser.expanded.has(nodeId)) placesBrowser.expanded.delete(nodeId);
+      else placesBrowser.expanded.add(nodeId);
+      renderPlacesBrowser();
+    } else if (target.dataset.action === 'open') {
+      openPlace(nodeId);
+    } else if (target.dataset.action === 'from' || target.dataset.action === 'to') {
+      showTab('route');
+      routeFromPanel(target.dataset.action === 'from' ? 'source' : 'target', nodeId);
+    }
+  });
+
+  container.querySelectorAll('.ml-tab').forEach(btn => {
+    btn.addEventListener('click', () => showTab(btn.dataset.tab));
+  });
+
+  lineSearchBox.addEventListener('input', () => {
+    if (lineBrowser.detail) closeLine();
+    else renderLineBrowser();
+  });
+
+  lineYearBox.min = String(minYear);
+  lineYearBox.max = String(maxYear);
+  lineYearBox.addEventListener('change', () => {
+    stopYearPlayback();
+    setYear(Number(lineYearBox.value) || state.settings.year);
+    lineYearBox.value = String(state.settings.year);
+    fetchAndRenderRouteIfReady().catch(console.error);
+  });
+
+  lineList.addEventListener('click', (ev) => {
+    const target = ev.target.closest('[data-line-id], [data-node-id], [data-action]');
+    if (!target) return;
+    if (target.dataset.action === 'back') closeLine();
+    else if (target.dataset.lineId) openLine(target.dataset.lineId);
+    else if (target.dataset.nodeId) openNodePanel(target.dataset.nodeId);
+  });
+  lineList.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Enter' && ev.key !== ' ') return;
+    const item = ev.target.closest('.ml-line-item');
+    if (!item) return;
+    ev.preventDefault();
+    openLine(item.dataset.lineId);
+  });
+
+  // ---- Permalink state (URL hash) ----
+  // Encodes stops, year, disabled modes, label/alternatives/network toggles, departure time, criterion and the camera, see url-state.js
+
+  function syncUrlState() {
+    if (restoringUrlState) return;
+    try {
+      const center = map.getCenter();
+      const hash = encodeUrlState({
+        source: selected.source ? selected.source.properties.id : null,
+        vias: viaRoles.map(r => selected[r]).filter(Boolean).map(f => f.properties.id),
+        target: selected.target ? selected.target.properties.id : null,
+        year: state.settings.year,
+        disabledModes: getExcludedModeInts(),
+        showOta: state.settings.showOta,
+        labelLanguages: state.settings.labelLanguages,
+        showAlternatives: state.settings.showAlternatives,
+        showNetwork: state.settings.showNetwork,
+        departure: state.settings.departure,
+        criterion: getCriterion(),
+        camera: { zoom: map.getZoom(), center: [center.lng, center.lat] }
+      });
+      if (hash !== location.hash) {
+        history.replaceState(history.state, '', `${location.pathname}${location.search}${hash}`);
+      }
+    } catch (e) {
+      console.warn('Failed to update URL state:', e);
+    }
+  }
+
+  function restoreUrlState() {
+    const saved = decodeUrlState(location.hash);
+    if (!Object.keys(saved).length) return false;
+
+    restoringUrlState = true;
+    try {
+      if (saved.year !== undefined) {
+        state.settings.year = Math.min(maxYear, Math.max(minYear, saved.year));
+      }
+      if (saved.disabledModes) {
+        transportModes.forEach(mode => {
+          state.settings.allowedModes[mode] = !saved.disabledModes.includes(modeNameToInt[mode]);
+        });
+      }
+      if (saved.showOta !== undefined) {
+        state.settings.showOta = saved.showOta;
+      }
+      if (saved.labelLanguages) {
+        state.settings.labelLanguages = saved.labelLanguages;
+      }
+      if (saved.showOta !== undefined || saved.labelLanguages) {
+        updateLabelLayers();
+      }
+      if (saved.showAlternatives !== undefined) {
+        state.settings.showAlternatives = saved.showAlternatives;
+      }
+      if (saved.showNetwork !== undefined) {
+        state.settings.showNetwork = saved.showNetwork;
+      }
+      if (saved.departure !== undefined) {
+        state.settings.departure = saved.departure;
+      }
+      if (saved.criterion && routeCriteria[saved.criterion]) {
+        state.settings.criterion = saved.criterion;
+      }
+      if (saved.camera) {
+        map.jumpTo(saved.camera);
+        skipNextRouteFit = true;
+      }
+
+      const source = saved.source ? getNodeOriginalFeature(saved.source) : null;
+      if (source) setSelectedFeature('source', source);
+      (saved.vias || []).forEach(id => {
+        const via = getNodeOriginalFeature(id);
+        if (via) addViaStop(via);
+      });
+      const target = saved.target ? getNodeOriginalFeature(saved.target) : null;
+      if (target) setSelectedFeature('target', target);
+    } finally {
+      restoringUrlState = false;
+    }
+
+    // Nothing to route: don't let the next route fit be skipped later on
+    if (!selected.source || !selected.target) skipNextRouteFit = false;
+    return true;
+  }
+
+  if (restoreUrlState()) {
+    fetchAndRenderRouteIfReady().catch(console.error);
+  }
+  map.on('moveend', syncUrlState);
+  map.on('moveend', () => fetchVisibleLabelNames().catch(console.error));
+
   try {
     setTimeout(() => {
+      if (selected.source && selected.target) return;
       sourceBox && sourceBox.focus && sourceBox.focus();
       try { sourceBox.select(); } catch (e) {}
       activeRole = 'source';
@@ -2150,7 +4780,20 @@ export default async function initSearchControl(map, opts = {}) {
         if (f) setSelectedFeature('target', f);
       } else setSelectedFeature('target', idOrFeature);
     },
+    addStop(idOrFeature) {
+      let feat = idOrFeature || null;
+      if (typeof idOrFeature === 'string' || typeof idOrFeature === 'number') {
+        feat = allFeatures.find(x => (x.properties.id == idOrFeature)) || null;
+      }
+      const role = addViaStop(feat);
+      if (feat) fetchAndRenderRouteIfReady().catch(console.error);
+      return role;
+    },
+    clearStops() {
+      viaRoles.slice().forEach(removeViaStop);
+    },
     getSelected() { return { ...selected }; },
+    getStops() { return getOrderedRoles().map(r => selected[r]); },
     getFeatures() { return allFeatures; }
   };
 }
@@ -2159,26 +4802,48 @@ window.initSearchControl = initSearchControl;
 
 function createContainerHTML() {
   return `
+  <div class="ml-tabs" role="tablist">
+  <button type="button" class="ml-tab ml-tab-active" role="tab" data-tab="route" aria-selected="true">Route</button>
+  <button type="button" class="ml-tab" role="tab" data-tab="lines" aria-selected="false">Lines</button>
+  <button type="button" class="ml-tab" role="tab" data-tab="places" aria-selected="false">Places</button>
+  </div>
+  <div id="mlPlacesTab" class="ml-places-tab" style="display:none;">
+  <div class="ml-lines-search">
+  <input id="mlPlaceSearch" class="ml-input" placeholder="Filter places..." autocomplete="off" />
+  <select id="mlPlaceSort" class="ml-places-sort" aria-label="Sort places"></select>
+  </div>
+  <div id="mlPlaceList" class="ml-line-list ml-place-list"></div>
+  </div>
+  <div id="mlLinesTab" class="ml-lines-tab" style="display:none;">
+  <div class="ml-lines-search">
+  <input id="mlLineSearch" class="ml-input" placeholder="Search lines..." autocomplete="off" />
+  <label class="ml-lines-year">in <input type="number" id="mlLineYear" class="ml-lines-year-input" /></label>
+  </div>
+  <div id="mlLineList" class="ml-line-list"></div>
+  </div>
   <div class="search-rows">
   <div class="search-col">
   <div class="ml-input-wrapper">
-  <input id="mlSourceBox" class="ml-input" placeholder="Search starting point..." autocomplete="off" />
+  <input id="mlSourceBox" class="ml-input" placeholder="Search starting point..." autocomplete="off" title="A place name, or coordinates such as 41.0123, 28.9784 (long-press the map to use a point)" />
   <button type="button" class="ml-input-clear" id="mlSourceClear" aria-label="Clear starting point" style="display:none;">×</button>
   </div>
   <div class="suggestions" id="mlSourceSuggestions" role="listbox" aria-expanded="false"></div>
   </div>
+  <div id="mlViaList" class="ml-via-list"></div>
   <div class="search-col">
   <div class="ml-input-wrapper">
-  <input id="mlTargetBox" class="ml-input" placeholder="Search destination..." autocomplete="off" />
+  <input id="mlTargetBox" class="ml-input" placeholder="Search destination..." autocomplete="off" title="A place name, or coordinates such as 41.0123, 28.9784 (long-press the map to use a point)" />
   <button type="button" class="ml-input-clear" id="mlTargetClear" aria-label="Clear destination" style="display:none;">×</button>
   </div>
   <div class="suggestions" id="mlTargetSuggestions" role="listbox" aria-expanded="false"></div>
   </div>
   <div class="ml-button-row">
+  <button type="button" id="mlAddStopBtn" class="ml-icon-btn" aria-label="Add stop" title="Add stop">＋</button>
   <button type="button" id="mlSettingsBtn" class="ml-icon-btn" aria-label="Settings" title="Settings" aria-expanded="false">⚙</button>
   </div>
   </div>
   <div id="mlSettingsPanel" class="ml-settings-panel" style="display:none;"></div>
+  <div id="mlYearChart" class="ml-year-chart" style="display:none;"></div>
   <div id="mlSidebar" class="ml-sidebar" aria-live="polite"></div>
   `;
 }
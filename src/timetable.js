@@ -0,0 +1,134 @@
+// src/timetable.js
+// Clock times for an itinerary. When the router returns departure/arrival times on the segments
+// they are used as is; otherwise a local stand-in timetable is applied: scheduled modes (trains,
+// steamers, trams) leave at fixed times of day, walking and changing are continuous.
+// All dates are naive local clock times held in UTC fields, so no time zone shifts apply.
+
+import { modeIntToName, nonVehicleModes } from './helpers.js';
+
+const DAY = 1440;
+
+// Stand-in services per mode: first and last departure (minutes after midnight) and headway
+export const standInSchedules = {
+    railway: { first: 6 * 60, last: 22 * 60, headway: 240 },
+    'narrow-gauge railway': { first: 7 * 60, last: 19 * 60, headway: 360 },
+    ship: { first: 10 * 60, last: 10 * 60, headway: DAY },
+    ferry: { first: 6 * 60, last: 21 * 60, headway: 60 },
+    metro: { first: 6 * 60, last: 23 * 60, headway: 10 },
+    'horse tramway': { first: 6 * 60, last: 22 * 60, headway: 20 },
+    'electric tramway': { first: 6 * 60, last: 23 * 60, headway: 10 },
+    'steam tramway': { first: 6 * 60, last: 21 * 60, headway: 30 },
+};
+
+// parseDeparture turns "YYYY-MM-DDTHH:MM" into a Date, or null. Date.UTC rolls impossible dates
+// and times over ("02-31" into March, "25:90" into the next day), so those are rejected.
+export function parseDeparture(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(String(value || ''));
+    if (!m) return null;
+    const [year, month, day, hour, minute] = m.slice(1, 6).map(Number);
+    const d = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    if (Number.isNaN(d.getTime())) return null;
+    const roundTrips = d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day
+        && d.getUTCHours() === hour && d.getUTCMinutes() === minute;
+    return roundTrips ? d : null;
+}
+
+// formatDeparture is the inverse of parseDeparture (also the router's `depart` parameter)
+export function formatDeparture(date) {
+    return date.toISOString().slice(0, 16);
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// formatClock renders "08:05", with a "+N" day offset relative to baseDate when it differs
+export function formatClock(date, baseDate) {
+    const clock = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+    if (!baseDate) return clock;
+    const dayOffset = Math.round((startOfDay(date) - startOfDay(baseDate)) / 86400000);
+    return dayOffset ? `${clock} +${dayOffset}` : clock;
+}
+
+// formatDateTime renders "Fri 1 May 1914, 08:05"
+export function formatDateTime(date) {
+    return `${weekdays[date.getUTCDay()]} ${date.getUTCDate()} ${months[date.getUTCMonth()]} ${date.getUTCFullYear()}, ${formatClock(date)}`;
+}
+
+function startOfDay(date) {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+// A wait counts as an overnight stay when it covers 03:00
+function spansNight(from, to) {
+    const night = startOfDay(from) + 3 * 3600000;
+    const firstNight = from.getTime() <= night ? night : night + 86400000;
+    return to.getTime() >= firstNight;
+}
+
+function addMinutes(date, mins) {
+    return new Date(date.getTime() + mins * 60000);
+}
+
+// nextServiceDeparture returns the first stand-in departure of `mode` at or after `date`
+export function nextServiceDeparture(mode, date) {
+    const sched = standInSchedules[mode];
+    if (!sched) return date;
+    const minuteOfDay = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+    for (let t = sched.first; t <= sched.last; t += sched.headway) {
+        if (t >= minuteOfDay) return addMinutes(new Date(startOfDay(date)), t);
+    }
+    return addMinutes(new Date(startOfDay(date)), DAY + sched.first);
+}
+
+function segmentTimes(p) {
+    const dep = p.departure ?? p.depart ?? p.dep;
+    const arr = p.arrival ?? p.arrive ?? p.arr;
+    if (!dep || !arr) return null;
+    const d = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(dep) ? dep : `${dep}Z`);
+    const a = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(arr) ? arr : `${arr}Z`);
+    return (Number.isNaN(d.getTime()) || Number.isNaN(a.getTime())) ? null : { departure: d, arrival: a };
+}
+
+// buildTimetable returns one { departure, arrival, waitMins, overnight, scheduled } per feature
+// (scheduled: the times came from the router).
+// A ride (consecutive segments on the same mode and line) waits once, at its first segment.
+export function buildTimetable(features, departure) {
+    const out = [];
+    let clock = departure;
+    let lastRideKey = null;
+    const fromRouter = (features || []).length > 0 && features.every(f => {
+        const mode = modeIntToName[Number((f.properties || {}).mode)] || '';
+        return nonVehicleModes.includes(mode) || segmentTimes(f.properties || {});
+    });
+
+    (features || []).forEach(f => {
+        const p = f.properties || {};
+        const mode = modeIntToName[Number(p.mode)] || '';
+        const cost = Number(p.cost) || 0;
+        const rideKey = nonVehicleModes.includes(mode) ? null : `${mode}|${p.line ?? ''}`;
+
+        let dep = clock;
+        let arr;
+        const times = fromRouter ? segmentTimes(p) : null;
+        if (times) {
+            dep = times.departure < clock ? clock : times.departure;
+            arr = times.arrival;
+        } else {
+            if (rideKey && rideKey !== lastRideKey) dep = nextServiceDeparture(mode, clock);
+            arr = addMinutes(dep, cost);
+        }
+
+        const waitMins = Math.max(0, Math.round((dep - clock) / 60000));
+        out.push({
+            departure: dep,
+            arrival: arr,
+            waitMins,
+            overnight: spansNight(clock, dep),
+            scheduled: !!times
+        });
+        clock = arr;
+        lastRideKey = rideKey;
+    });
+    return out;
+}
@@ -0,0 +1,127 @@
+// src/transliterate.js
+// Search keys for place names, so that Ottoman (Arabic script), modern Turkish, Greek, Armenian and
+// Western Latin spellings of a name can find each other:
+//   foldLatin            lower case ASCII: diacritics dropped, Turkish / IJMES letters and common
+//                        Western digraphs (th, ph, kh, sh, ou, ...) folded, double letters collapsed
+//   transliterateOttoman Arabic script to Latin after IJMES, written the modern Turkish way; short
+//                        vowels aren't written, so elif / vav / ye stand in for the long ones
+//   skeleton             the consonants of a folded key, which is what an unvocalised Ottoman spelling
+//                        and its vocalised Latin forms have in common (Selanik / سلانیك -> slnk)
+
+import { scriptOf } from './label-language.js';
+
+const ottomanLetters = {
+    'ا': 'a', 'آ': 'a', 'أ': 'a', 'إ': 'i', 'ٱ': 'a',
+    'ء': '', 'ئ': 'y', 'ؤ': 'v',
+    'ب': 'b', 'پ': 'p', 'ت': 't', 'ث': 's',
+    'ج': 'c', 'چ': 'ç', 'ح': 'h', 'خ': 'h',
+    'د': 'd', 'ذ': 'z', 'ر': 'r', 'ز': 'z', 'ژ': 'j',
+    'س': 's', 'ش': 'ş', 'ص': 's', 'ض': 'z',
+    'ط': 't', 'ظ': 'z', 'ع': '', 'غ': 'g',
+    'ف': 'f', 'ق': 'k', 'ك': 'k', 'ک': 'k', 'گ': 'g', 'ڭ': 'n',
+    'ل': 'l', 'م': 'm', 'ن': 'n', 'ة': 'e',
+    'و': 'v', 'ه': 'h', 'ی': 'y', 'ي': 'y', 'ى': 'a'
+};
+
+const greekLetters = {
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+    'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+    'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+const armenianLetters = {
+    'ա': 'a', 'բ': 'b', 'գ': 'g', 'դ': 'd', 'ե': 'e', 'զ': 'z', 'է': 'e', 'ը': 'e',
+    'թ': 't', 'ժ': 'zh', 'ի': 'i', 'լ': 'l', 'խ': 'kh', 'ծ': 'ts', 'կ': 'k', 'հ': 'h',
+    'ձ': 'dz', 'ղ': 'gh', 'ճ': 'ch', 'մ': 'm', 'յ': 'y', 'ն': 'n', 'շ': 'sh', 'ո': 'o',
+    'չ': 'ch', 'պ': 'p', 'ջ': 'j', 'ռ': 'r', 'ս': 's', 'վ': 'v', 'տ': 't', 'ր': 'r',
+    'ց': 'ts', 'ւ': 'v', 'փ': 'p', 'ք': 'k', 'օ': 'o', 'ֆ': 'f', 'և': 'ev'
+};
+
+// Turkish and IJMES letters that don't decompose into ASCII + combining marks
+const latinLetters = { 'ı': 'i', 'ş': 's', 'ç': 'c', 'ğ': 'g', 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'đ': 'd', 'ł': 'l' };
+
+// Western spellings of the same sounds; longest first
+const digraphs = [
+    ['dsch', 'c'], ['tch', 'c'], ['dj', 'c'], ['th', 't'], ['ph', 'f'], ['kh', 'h'], ['gh', 'g'],
+    ['sh', 's'], ['ch', 'c'], ['zh', 'j'], ['ou', 'u'], ['oe', 'o'], ['ue', 'u'], ['w', 'v'], ['q', 'k'], ['x', 'ks']
+];
+
+export function foldLatin(text) {
+    let s = String(text || '')
+        .replace(/İ/g, 'i')
+        .replace(/I/g, 'i')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036F]/g, '')
+        .replace(/[\u0131\u015F\u00E7\u011F\u00F8\u00E6\u0153\u00DF\u0111\u0142]/g, c => latinLetters[c] ?? c)
+        // ʿayn, hamza and apostrophes
+        .replace(/[\u02BF\u02BE\u02BB\u02BC'\u2018\u2019`]/g, '');
+    digraphs.forEach(([from, to]) => {
+        s = s.split(from).join(to);
+    });
+    return s
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/([a-z])\1+/g, '$1')
+        .trim();
+}
+
+// transliterateOttoman: vav and ye are read as vowels (u, i) except at the start of a word, and a
+// final he as the vowel e
+export function transliterateOttoman(text) {
+    const words = String(text || '').replace(/[\u064B-\u065F\u0670\u0640]/g, '').split(/\s+/);
+    return words.map(word => Array.from(word).map((ch, i, all) => {
+        if (ch === 'و' && i > 0) return 'u';
+        if ((ch === 'ی' || ch === 'ي') && i > 0) return 'i';
+        if (ch === 'ه' && i === all.length - 1 && i > 0) return 'e';
+        return ottomanLetters[ch] ?? ch;
+    }).join('')).join(' ');
+}
+
+function transliterateGreek(text) {
+    const plain = String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036F]/g, '');
+    return Array.from(plain.replace(/ου/g, 'ou'))
+        .map(ch => greekLetters[ch] ?? ch)
+        .join('');
+}
+
+function transliterateArmenian(text) {
+    return Array.from(String(text || '').toLowerCase())
+        .map(ch => armenianLetters[ch] ?? ch)
+        .join('');
+}
+
+// toLatin: a Latin reading of a name in any of the supported scripts
+export function toLatin(text) {
+    const s = String(text || '');
+    const script = scriptOf(s);
+    if (script === 'arabic') return transliterateOttoman(s);
+    if (script === 'greek') return transliterateGreek(s);
+    if (script === 'armenian') return transliterateArmenian(s);
+    return s;
+}
+
+// skeleton drops vowels and the semi-vowels v / y, which Ottoman spellings use for u / i
+export function skeleton(folded) {
+    return String(folded || '').replace(/[aeiouvy]/g, '').replace(/([a-z])\1+/g, '$1');
+}
+
+// searchKey: the folded Latin key and its skeleton for a name or a query
+export function searchKey(text) {
+    const latin = foldLatin(toLatin(text));
+    return { latin, skeleton: skeleton(latin) };
+}
+
+// nameSearchKeys indexes names ([{ name, iso639 }]): keys[i] and skeletons[i] come from sources[i].
+// Names folding to the same key are kept once.
+export function nameSearchKeys(names) {
+    const out = { keys: [], skeletons: [], sources: [] };
+    (names || []).forEach(n => {
+        if (!n || !n.name) return;
+        const key = searchKey(n.name);
+        if (!key.latin || out.keys.includes(key.latin)) return;
+        out.keys.push(key.latin);
+        out.skeletons.push(key.skeleton);
+        out.sources.push({ name: String(n.name), iso639: n.iso639 || null });
+    });
+    return out;
+}
@@ -0,0 +1,74 @@
+// src/url-state.js
+// Encode / decode the shareable permalink state kept in the URL hash, e.g.
+//   #src=123&via=45,67&tgt=89&year=1897&off=8,13&ota=1&lang=ell,fra&alt=1&net=1&dep=05-01T08:00&opt=cheapest&map=7.25/41.0123/28.9784
+// (off = integer codes from modeIntToName of the disabled transport modes;
+//  dep = departure month-day and time, its year being `year`;
+//  opt = optimisation criterion, omitted for the default;
+//  lang = map label languages as ISO 639-3 codes, in fallback order)
+
+function splitList(value) {
+    return String(value || '')
+        .split(',')
+        .map(v => v.trim())
+        .filter(v => v !== '');
+}
+
+// decodeUrlState parses a hash (or query) string into a plain state object.
+// Missing or malformed entries are left undefined so callers keep their defaults.
+export function decodeUrlState(hash) {
+    const raw = String(hash || '').replace(/^[#?]/, '');
+    const params = new URLSearchParams(raw);
+    const out = {};
+
+    if (params.get('src')) out.source = params.get('src');
+    if (params.get('tgt')) out.target = params.get('tgt');
+    if (params.has('via')) out.vias = splitList(params.get('via'));
+
+    const year = Number(params.get('year'));
+    if (params.has('year') && Number.isInteger(year)) out.year = year;
+
+    if (params.has('off')) {
+        out.disabledModes = splitList(params.get('off')).map(Number).filter(n => Number.isInteger(n));
+    }
+
+    if (params.has('ota')) out.showOta = params.get('ota') === '1';
+    if (params.has('lang')) out.labelLanguages = splitList(params.get('lang')).filter(code => /^[a-z]{3}$/.test(code));
+    if (params.has('alt')) out.showAlternatives = params.get('alt') === '1';
+    if (params.has('net')) out.showNetwork = params.get('net') === '1';
+    if (/^\d{2}-\d{2}T\d{2}:\d{2}$/.test(params.get('dep') || '')) out.departure = params.get('dep');
+    if (/^[a-z-]+$/.test(params.get('opt') || '')) out.criterion = params.get('opt');
+
+    if (params.has('map')) {
+        const [zoom, lat, lng] = String(params.get('map')).split('/').map(Number);
+        if ([zoom, lat, lng].every(Number.isFinite)) {
+            out.camera = { zoom, center: [lng, lat] };
+        }
+    }
+
+    return out;
+}
+
+// encodeUrlState is the inverse of decodeUrlState; empty values are omitted.
+export function encodeUrlState(st) {
+    const parts = [];
+    // keep ',', '/' and ':' readable in the hash; URLSearchParams decodes them either way
+    const add = (key, value) => parts.push(`${key}=${encodeURIComponent(value).replace(/%2C/gi, ',').replace(/%2F/gi, '/').replace(/%3A/gi, ':')}`);
+
+    if (st.source) add('src', st.source);
+    if (st.vias && st.vias.length) add('via', st.vias.join(','));
+    if (st.target) add('tgt', st.target);
+    if (st.year) add('year', st.year);
+    if (st.disabledModes && st.disabledModes.length) add('off', st.disabledModes.join(','));
+    if (st.showOta) add('ota', '1');
+    if (st.labelLanguages && st.labelLanguages.length) add('lang', st.labelLanguages.join(','));
+    if (st.showAlternatives) add('alt', '1');
+    if (st.showNetwork) add('net', '1');
+    if (st.departure) add('dep', st.departure);
+    if (st.criterion && st.criterion !== 'fastest') add('opt', st.criterion);
+    if (st.camera && st.camera.center) {
+        const [lng, lat] = st.camera.center;
+        add('map', `${Number(st.camera.zoom).toFixed(2)}/${Number(lat).toFixed(4)}/${Number(lng).toFixed(4)}`);
+    }
+
+    return parts.length ? '#' + parts.join('&') : '';
+}
@@ -1,8 +1,38 @@
 import { defineConfig } from 'vite';
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Fills in BUILD and buildAssets in dist/sw.js (copied from public/sw.js), so the service worker
+// precaches the hashed JS/CSS the first visit loads before it controls the page
+function serviceWorkerAssets() {
+  let outDir = 'dist';
+  let assets = [];
+  return {
+    name: 'sw-build-assets',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    generateBundle(options, bundle) {
+      assets = Object.keys(bundle).filter(file => !/\.(html|map)$/.test(file)).sort();
+    },
+    closeBundle() {
+      const swPath = path.join(outDir, 'sw.js');
+      if (!fs.existsSync(swPath)) return;
+      const build = createHash('sha1').update(assets.join('\n')).digest('hex').slice(0, 10);
+      const source = fs.readFileSync(swPath, 'utf8')
+        .replace("const BUILD = 'dev';", `const BUILD = '${build}';`)
+        .replace('const buildAssets = [];', `const buildAssets = ${JSON.stringify(assets)};`);
+      fs.writeFileSync(swPath, source);
+    }
+  };
+}
 
 // Use VITE_BASE (preferred) or package.json homepage (npm_package_homepage) or default '/'
 export default defineConfig({
   base: process.env.VITE_BASE || process.env.npm_package_homepage || '/',
+  plugins: [serviceWorkerAssets()],
   server: {
     port: 3000,
     proxy: {
@@ -14,4 +44,4 @@ export default defineConfig({
       }
     }
   }
-});
\ No newline at end of file
+});